@@ -0,0 +1,151 @@
+const { loadJsonFile, saveJsonFile } = require('./utils');
+
+const ROLES = ['admin', 'user'];
+
+/**
+ * Creates the access list: the user IDs and group chat IDs allowed to use the bot,
+ * each with a role ('admin' or 'user'), plus pending access requests.
+ * The list is stored in a JSON file. The bootstrap admin (AUTHORIZED_USER_ID) is
+ * always an admin, even if it is missing from the file, so the bot can never be
+ * locked out.
+ * @param {object} options
+ * @param {string} options.filePath - Path of the JSON file used for storage.
+ * @param {number} options.bootstrapAdminId - The user ID that is always an admin.
+ * @returns {object} - The access list.
+ */
+const createAccessList = ({ filePath, bootstrapAdminId }) => {
+	const data = loadJsonFile(filePath, {});
+	const entries = data.entries || {}; // id -> { role, name, addedBy, addedAt }
+	const pendingRequests = data.pendingRequests || {}; // userId -> { name, chatId, requestedAt }
+	console.log(`Loaded ${Object.keys(entries).length} access list entries from ${filePath}.`);
+
+	const save = () => saveJsonFile(filePath, { entries, pendingRequests });
+
+	return {
+		/**
+		 * Checks whether a user or group chat ID is on the access list.
+		 * @param {number} id - A user ID or group chat ID.
+		 * @returns {boolean} - True if allowed.
+		 */
+		isAllowed(id) {
+			return id === bootstrapAdminId || Boolean(entries[id]);
+		},
+
+		/**
+		 * Checks whether a user ID has the admin role.
+		 * @param {number} id - The user ID.
+		 * @returns {boolean} - True if the user is an admin.
+		 */
+		isAdmin(id) {
+			return id === bootstrapAdminId || Boolean(entries[id] && entries[id].role === 'admin');
+		},
+
+		/**
+		 * Returns the IDs of all admins, bootstrap admin first.
+		 * @returns {Array<number>} - The admin user IDs.
+		 */
+		getAdminIds() {
+			const adminIds = Object.keys(entries)
+				.filter(id => entries[id].role === 'admin')
+				.map(id => parseInt(id, 10))
+				.filter(id => id !== bootstrapAdminId);
+			return [bootstrapAdminId, ...adminIds];
+		},
+
+		/**
+		 * Returns every entry of the access list, including the bootstrap admin.
+		 * @returns {Array<{id: number, role: string, name: string, bootstrap: boolean}>} - The entries.
+		 */
+		list() {
+			const list = [{ id: bootstrapAdminId, role: 'admin', name: '', bootstrap: true }];
+			Object.keys(entries).forEach(id => {
+				const numericId = parseInt(id, 10);
+				if (numericId !== bootstrapAdminId) {
+					list.push({ id: numericId, role: entries[id].role, name: entries[id].name || '', bootstrap: false });
+				}
+			});
+			return list;
+		},
+
+		/**
+		 * Adds an ID to the access list (or changes its role) and clears its pending request.
+		 * @param {number} id - A user ID or group chat ID (negative).
+		 * @param {string} role - 'admin' or 'user'.
+		 * @param {number} addedBy - The admin who added the entry.
+		 * @param {string} [name] - A display name to show in /users.
+		 * @returns {boolean} - True if added, false if the role is invalid.
+		 */
+		allow(id, role, addedBy, name) {
+			if (!ROLES.includes(role)) {
+				return false;
+			}
+			const previousName = (entries[id] && entries[id].name) || (pendingRequests[id] && pendingRequests[id].name) || '';
+			entries[id] = { role, name: name || previousName, addedBy, addedAt: new Date().toISOString() };
+			delete pendingRequests[id];
+			save();
+			return true;
+		},
+
+		/**
+		 * Removes an ID from the access list and clears its pending request.
+		 * The bootstrap admin cannot be removed.
+		 * @param {number} id - A user ID or group chat ID.
+		 * @returns {boolean} - True if something was removed.
+		 */
+		deny(id) {
+			if (id === bootstrapAdminId) {
+				return false;
+			}
+			const existed = Boolean(entries[id] || pendingRequests[id]);
+			delete entries[id];
+			delete pendingRequests[id];
+			save();
+			return existed;
+		},
+
+		/**
+		 * Records an access request. Repeated requests from the same user are ignored
+		 * so admins are only notified once.
+		 * @param {number} userId - The requesting user.
+		 * @param {string} name - The user's display name.
+		 * @param {number} chatId - The chat where the request was made.
+		 * @returns {boolean} - True if this is a new request, false if one is already pending.
+		 */
+		addRequest(userId, name, chatId) {
+			if (pendingRequests[userId]) {
+				return false;
+			}
+			pendingRequests[userId] = { name, chatId, requestedAt: new Date().toISOString() };
+			save();
+			return true;
+		},
+
+		/**
+		 * Returns a pending access request.
+		 * @param {number} userId - The requesting user.
+		 * @returns {object|null} - The request, or null if none is pending.
+		 */
+		getRequest(userId) {
+			return pendingRequests[userId] || null;
+		},
+
+		/**
+		 * Discards a pending access request without allowing the user.
+		 * @param {number} userId - The requesting user.
+		 * @returns {boolean} - True if a request was pending.
+		 */
+		rejectRequest(userId) {
+			if (!pendingRequests[userId]) {
+				return false;
+			}
+			delete pendingRequests[userId];
+			save();
+			return true;
+		},
+	};
+};
+
+module.exports = {
+	ROLES,
+	createAccessList,
+};
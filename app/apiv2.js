@@ -1,123 +1,213 @@
+const { resolveProvider } = require('./providers');
+const { mergeParameters } = require('./parameters');
+
 /**
- * Builds the messages array for standard OpenAI-compatible models.
- * @param {string} systemPrompt - The system prompt content.
- * @param {string} userPrompt - The user's input content.
- * @param {string} modPrefix - The prefix to add to the user prompt based on mode.
- * @returns {Array<object>} - The messages array for the API request.
+ * Converts the `usage` block of a completion response to token counts.
+ * @param {object} [usage] - The usage block (prompt_tokens, completion_tokens), if the provider sent one.
+ * @returns {{promptTokens: number, completionTokens: number}|null} - The token counts, or null if unknown.
  */
-const buildStandardMessages = (systemPrompt, userPrompt, modPrefix) => {
-    const messages = [];
-    if (systemPrompt) {
-        messages.push({ role: "system", content: systemPrompt });
+const parseUsage = (usage) => {
+    if (!usage || typeof usage !== 'object') {
+        return null;
     }
-    messages.push({ role: "user", content: modPrefix + userPrompt });
-    return messages;
+    return {
+        promptTokens: Number(usage.prompt_tokens) || 0,
+        completionTokens: Number(usage.completion_tokens) || 0,
+    };
 };
 
 /**
- * Builds the messages array for Google models (Gemini).
- * Note: This currently only supports text input. For multi-modal input,
- * this function would need modification to handle image data.
- * @param {string} systemPrompt - The system prompt content.
- * @param {string} userPrompt - The user's input content.
- * @param {string} modPrefix - The prefix to add to the user prompt based on mode.
- * @returns {Array<object>} - The messages array for the API request.
+ * Separates the reasoning of thinking models (e.g. DeepSeek R1, Qwen3) from their answer.
+ * Depending on the model and provider, reasoning arrives in a separate field
+ * (`reasoning` on OpenRouter, `reasoning_content` on DeepSeek) or in a <think>...</think>
+ * block at the start of the content. Only that leading block is reasoning: answers, such as
+ * translated prompts, may mention the tags themselves. An unclosed leading block (a stream
+ * that is still thinking, or a response cut off by max_tokens) is all reasoning.
+ * Some deployments of reasoning models put <think> in the prompt template, so the content
+ * starts with the reasoning and only has the closing tag; this is only recognized for
+ * models flagged with "reasoning" in models.json.
+ * @param {string} content - The response content.
+ * @param {string} [reasoningField=''] - The reasoning the provider returned separately, if any.
+ * @param {boolean} [reasoningModel=false] - Whether the model is flagged as a reasoning model.
+ * @returns {{answer: string, reasoning: string}} - The answer without reasoning, and the reasoning (empty if none).
  */
-const buildGoogleMessages = (systemPrompt, userPrompt, modPrefix) => {
-    const messages = [];
-    // Google models expect system instructions potentially within the first user message
-    // or sometimes have dedicated fields outside 'messages'. OpenRouter standardizes
-    // this, but the content structure MUST be an array.
-    // We'll include the system prompt as a separate message if provided,
-    // following the array content structure.
-    if (systemPrompt) {
-        messages.push({
-            role: "system", // Or potentially 'user' depending on exact model needs via OpenRouter
-            content: [
-                { type: "text", text: systemPrompt }
-            ]
-        });
+const splitReasoning = (content, reasoningField = '', reasoningModel = false) => {
+    const reasoningParts = [reasoningField];
+    let answer = content;
+    const leadingBlock = /^\s*<think>([\s\S]*?)(?:<\/think>|$)/.exec(answer);
+    if (leadingBlock) {
+        reasoningParts.push(leadingBlock[1]);
+        answer = answer.slice(leadingBlock[0].length);
+    } else if (reasoningModel) {
+        const closeIndex = answer.indexOf('</think>');
+        if (closeIndex !== -1 && !answer.slice(0, closeIndex).includes('<think>')) {
+            reasoningParts.push(answer.slice(0, closeIndex));
+            answer = answer.slice(closeIndex + '</think>'.length);
+        }
     }
-    messages.push({
-        role: "user",
-        content: [
-            { type: "text", text: modPrefix + userPrompt }
-            // If you needed to add an image, you would add another object here:
-            // { type: "image_url", image_url: { url: "..." } }
-        ]
-    });
-    return messages;
+    return {
+        answer: answer.trim(),
+        reasoning: reasoningParts.map(part => (part || '').trim()).filter(Boolean).join('\n\n'),
+    };
 };
 
 /**
- * Calls the OpenRouter API with appropriate payload structure based on the model.
- * @param {string} inputText - The text input from the user.
- * @param {string} mode - The current operating mode ('prompt', 'commit', 'chat').
- * @param {string} currentModelId - The ID of the AI model to use (e.g., 'deepseek/deepseek-chat', 'google/gemini-flash-1.5').
- * @param {string} openRouterApiEndpoint - The OpenRouter API endpoint URL (e.g., 'https://openrouter.ai/api/v1/chat/completions').
- * @param {string} openRouterApiKey - The OpenRouter API key.
- * @returns {Promise<string|null>} - The AI's response or an error message string.
+ * Reads a server-sent events (SSE) completion stream, as returned when the request
+ * sets `stream: true`, and reports the answer received so far after every content delta.
+ * Reasoning (see splitReasoning) is collected but not reported as progress.
+ * Token usage arrives in the last event when the request asks for it (stream_options.include_usage).
+ * @param {Response} response - The fetch response whose body is the event stream.
+ * @param {function(string): void} onProgress - Called with the accumulated answer after each delta.
+ * @param {function(): void} [onChunk] - Called whenever data arrives, e.g. to reset an idle timeout.
+ * @param {boolean} [reasoningModel=false] - Whether the model is flagged as a reasoning model (see splitReasoning).
+ * @returns {Promise<{content: string, reasoning: string, usage: object|null}>} - The complete response text
+ *   (which may still contain a <think> block), the separately streamed reasoning and token usage.
+ * @throws {Error} - If the stream breaks or reports an error. The error's `partialContent`
+ *   property holds the answer received before the failure.
  */
-const callOpenRouterAPI = async (inputText, mode, currentModelId, openRouterApiEndpoint, openRouterApiKey) => {
-    let systemPrompt = "";
-    let userPrompt = inputText;
-    let modPrefix = ""; // Prefix only used for specific modes
+const readCompletionStream = async (response, onProgress, onChunk = () => {}, reasoningModel = false) => {
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let content = "";
+    let reasoning = "";
+    let usage = null;
 
-    // Trim input just in case
-    userPrompt = userPrompt.trim();
-    if (!userPrompt) {
-        console.log("Ignoring empty input string for OpenRouter API call.");
-        return "Input cannot be empty."; // Or return null, depending on desired behavior
+    try {
+        for await (const chunk of response.body) {
+            onChunk();
+            buffer += decoder.decode(chunk, { stream: true });
+
+            // Events are separated by newlines; keep any incomplete line in the buffer
+            let newlineIndex;
+            while ((newlineIndex = buffer.indexOf("\n")) !== -1) {
+                const line = buffer.slice(0, newlineIndex).trim();
+                buffer = buffer.slice(newlineIndex + 1);
+
+                // Skip blank lines and comments such as ": OPENROUTER PROCESSING"
+                if (!line.startsWith("data:")) {
+                    continue;
+                }
+                const payload = line.slice(5).trim();
+                if (payload === "[DONE]") {
+                    return { content, reasoning, usage };
+                }
+
+                let event;
+                try {
+                    event = JSON.parse(payload);
+                } catch (e) {
+                    console.warn("Skipping unparseable stream event:", payload);
+                    continue;
+                }
+
+                // Providers can fail after the response has started, reported as an error event
+                if (event.error) {
+                    throw new Error(event.error.message || "The AI provider reported an error mid-stream.");
+                }
+
+                if (event.usage) {
+                    usage = parseUsage(event.usage);
+                }
+                const delta = (event.choices && event.choices[0] && event.choices[0].delta) || {};
+                const reasoningDelta = delta.reasoning || delta.reasoning_content;
+                if (typeof reasoningDelta === 'string') {
+                    reasoning += reasoningDelta;
+                }
+                if (typeof delta.content === 'string' && delta.content) {
+                    content += delta.content;
+                    // Nothing to show while the model is still thinking
+                    const { answer } = splitReasoning(content, '', reasoningModel);
+                    if (answer) {
+                        onProgress(answer);
+                    }
+                }
+            }
+        }
+    } catch (error) {
+        error.partialContent = splitReasoning(content, '', reasoningModel).answer;
+        throw error;
     }
 
-    // --- System Prompt Logic (remains the same) ---
-    if (mode === 'prompt') {
-        systemPrompt = `You are an AI assistant specialized in refining text for AI prompts. Translate the user's input into clear, concise, and unambiguous English suitable for prompting another AI. Respond *only* with the translated text and absolutely nothing else. Do not add any introductory phrases, explanations, or conversational filler.`;
-        modPrefix = "Translate the following prompt into English\n--- --- ---\n";
-    } else if (mode === 'commit') {
-        systemPrompt = `You are an AI assistant specialized in formatting text into git commit messages. Translate the user's input into a clear and concise English git commit message following conventional standards (e.g., 'feat: add user authentication'). Respond *only* in the format \`git commit -m "COMMIT_CONTENT"\`. If you can think of 1 or 2 significantly better alternative phrasings for the commit message, provide them on new lines, each prefixed with 'Alternative:'. Do not add any other introductory text, explanations, or conversation.`;
-        modPrefix = "Translate the following commit message into English\n--- --- ---\n";
-    } else if (mode === 'chat') {
-        systemPrompt = `You are a helpful AI assistant. Respond conversationally and helpfully to the user's message. Always respond in User's language. If the user uses Chinese, respond in Traditional Chinese.`;
-        // No prefix needed for general chat
-    } else {
-        console.error("Invalid mode provided to callOpenRouterAPI:", mode);
-        return "Internal error: Invalid processing mode."; // Inform user of internal issue
+    // Stream ended without [DONE]; whatever arrived is the response
+    return { content, reasoning, usage };
+};
+
+// HTTP status codes worth retrying: timeouts, rate limits and server-side failures
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+/**
+ * Waits for a while, or until the signal is aborted.
+ * @param {number} ms - The delay in milliseconds.
+ * @param {AbortSignal} [signal] - Ends the wait early when aborted.
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) => new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
     }
-    // --- End System Prompt Logic ---
-
-    const isGoogleModel = currentModelId.startsWith('google/');
-    let messages;
-
-    // Build the messages payload based on the model type
-    if (isGoogleModel) {
-        console.log(`Building payload for Google model: ${currentModelId}`);
-        messages = buildGoogleMessages(systemPrompt, userPrompt, modPrefix);
-    } else {
-        console.log(`Building payload for standard model: ${currentModelId}`);
-        messages = buildStandardMessages(systemPrompt, userPrompt, modPrefix);
+});
+
+const CANCELLED_RESULT = { ok: false, content: "Request cancelled.", retryable: false, retryAfterMs: null, usage: null, cancelled: true };
+
+/**
+ * Sends a single chat completions request to a provider.
+ * The request is aborted if no data arrives for `timeoutMs`: for regular requests
+ * this is the total time, for streamed ones the time between two chunks.
+ * @param {object} provider - The resolved provider (see resolveProvider).
+ * @param {object} payload - The request body.
+ * @param {object} options
+ * @param {function(string): void} [options.onProgress] - Streaming progress callback.
+ * @param {number} options.timeoutMs - The timeout in milliseconds.
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted.
+ * @param {boolean} [options.reasoningModel=false] - Whether the model is flagged as a reasoning model (see splitReasoning).
+ * @returns {Promise<{ok: boolean, content: string, reasoning: (string|undefined), retryable: boolean, retryAfterMs: number|null,
+ *   usage: object|null, timedOut: (boolean|undefined), interrupted: (boolean|undefined), cancelled: (boolean|undefined)}>} - The result.
+ *   `content` is the answer without the model's reasoning, which is in `reasoning` (empty if there was none).
+ *   `usage` holds the token counts when the provider reported them.
+ *   `retryable` is true for transient failures (timeouts, network errors, 408/429/5xx) that happened before
+ *   any content arrived. `interrupted` is true if a stream broke after part of the answer arrived.
+ */
+const requestCompletion = async (provider, payload, { onProgress, timeoutMs, signal, reasoningModel = false }) => {
+    const headers = {
+        "Content-Type": "application/json",
+        // OpenRouter specific headers (optional, see their docs)
+        // "HTTP-Referer": $YOUR_SITE_URL,
+        // "X-Title": $YOUR_SITE_NAME,
+    };
+    if (provider.apiKey) {
+        headers["Authorization"] = `Bearer ${provider.apiKey}`;
     }
 
-    console.log(`Calling API in ${mode} mode with model ${currentModelId}.`);
-    // console.log("Sending messages:", JSON.stringify(messages, null, 2)); // Uncomment for debugging prompts
+    const controller = new AbortController();
+    let timer = null;
+    const resetTimeout = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => controller.abort(), timeoutMs);
+    };
+    const failure = (content, retryable, retryAfterMs = null) => ({ ok: false, content, retryable, retryAfterMs, usage: null });
+
+    // Cancelling aborts the same controller as the timeout; signal.aborted tells them apart
+    const cancel = () => controller.abort();
+    if (signal) {
+        signal.addEventListener('abort', cancel, { once: true });
+    }
 
+    resetTimeout();
     try {
-        const response = await fetch(openRouterApiEndpoint, { // Use the generic endpoint variable
+        const response = await fetch(provider.endpoint, {
             method: "POST",
-            headers: {
-                "Authorization": `Bearer ${openRouterApiKey}`, // Use the generic key variable
-                "Content-Type": "application/json",
-                // OpenRouter specific headers (optional, see their docs)
-                // "HTTP-Referer": $YOUR_SITE_URL,
-                // "X-Title": $YOUR_SITE_NAME,
-            },
-            body: JSON.stringify({
-                "model": currentModelId, // Use the dynamic model ID
-                "messages": messages,
-                // Optional parameters like temperature could be added here if needed
-                // "temperature": 0.7,
-                // "max_tokens": 1024,
-            })
+            headers,
+            body: JSON.stringify(payload),
+            signal: controller.signal,
         });
 
         if (!response.ok) {
@@ -133,7 +223,32 @@ const callOpenRouterAPI = async (inputText, mode, currentModelId, openRouterApiE
             } catch (e) {
                 // Ignore if errorBody is not JSON
             }
-            return friendlyError;
+            // Rate-limited responses may say how long to wait (in seconds)
+            const retryAfterSeconds = parseInt(response.headers.get('retry-after'), 10);
+            const retryAfterMs = Number.isNaN(retryAfterSeconds) ? null : retryAfterSeconds * 1000;
+            return failure(friendlyError, RETRYABLE_STATUS_CODES.includes(response.status), retryAfterMs);
+        }
+
+        if (onProgress) {
+            try {
+                const stream = await readCompletionStream(response, onProgress, resetTimeout, reasoningModel);
+                const { answer, reasoning } = splitReasoning(stream.content, stream.reasoning, reasoningModel);
+                console.log("API Stream Completed.");
+                if (!answer) {
+                    return { ...failure("[Received empty response from AI]", false), usage: stream.usage };
+                }
+                return { ok: true, content: answer, reasoning, retryable: false, retryAfterMs: null, usage: stream.usage };
+            } catch (streamError) {
+                const partialContent = (streamError.partialContent || "").trim();
+                if (!partialContent) {
+                    throw streamError; // Nothing arrived; report it like any other failed request
+                }
+                // Part of the answer was already shown, so don't retry or hand off to another model
+                console.error("API Stream interrupted:", streamError.message);
+                const cancelled = Boolean(signal && signal.aborted);
+                const reason = cancelled ? "cancelled" : (streamError.name === 'AbortError' ? "timed out" : streamError.message);
+                return { ...failure(`${partialContent}\n\n[Response interrupted: ${reason}]`, false), interrupted: true, cancelled };
+            }
         }
 
         const data = await response.json();
@@ -145,24 +260,180 @@ const callOpenRouterAPI = async (inputText, mode, currentModelId, openRouterApiE
         if (data.choices && data.choices.length > 0 && data.choices[0].message && typeof data.choices[0].message.content === 'string') {
             console.log("API Response Received.");
             // console.log("Raw response content:", data.choices[0].message.content); // Uncomment for debugging AI output
-            const content = data.choices[0].message.content.trim();
-            return content || "[Received empty response from AI]"; // Handle empty content string
+            const message = data.choices[0].message;
+            const { answer, reasoning } = splitReasoning(message.content, message.reasoning || message.reasoning_content, reasoningModel);
+            if (!answer) {
+                return { ...failure("[Received empty response from AI]", false), usage: parseUsage(data.usage) }; // Handle empty content string
+            }
+            return { ok: true, content: answer, reasoning, retryable: false, retryAfterMs: null, usage: parseUsage(data.usage) };
         } else {
             console.error("API Error: Invalid response structure", JSON.stringify(data));
-            return "Sorry, I received an unexpected or empty response from the AI.";
+            return failure("Sorry, I received an unexpected or empty response from the AI.", false);
         }
         // --- End Response Handling ---
 
     } catch (error) {
-        console.error("Error calling OpenRouter API:", error);
+        if (signal && signal.aborted) {
+            console.log(`Request to ${provider.label} API cancelled.`);
+            return { ...CANCELLED_RESULT };
+        }
+        console.error(`Error calling ${provider.label} API:`, error);
         // Check for specific FetchError types if needed (e.g., network issues)
         if (error.name === 'AbortError') {
-            return "Sorry, the request to the AI timed out.";
+            return { ...failure("Sorry, the request to the AI timed out.", true), timedOut: true };
+        }
+        return failure(`Sorry, I encountered a network or processing error while contacting the AI. Details: ${error.message}`, true);
+    } finally {
+        clearTimeout(timer);
+        if (signal) {
+            signal.removeEventListener('abort', cancel);
+        }
+    }
+};
+
+/**
+ * Calls the chat completions API of the model's provider (OpenRouter, DeepSeek,
+ * an OpenAI-compatible server or Ollama) with the payload structure it expects.
+ * Transient failures are retried with exponential backoff. If the model still
+ * fails, the fallback models are tried in order.
+ * @param {string} inputText - The text input from the user.
+ * @param {object} mode - The current mode definition from modes.json (systemPrompt, userPrefix, parameters).
+ * @param {object} model - The model entry from models.json (id, provider, endpoint, apiKeyEnv, model, reasoning).
+ * @param {Array<{role: string, content: string}>} [history=[]] - Previous conversation turns (used in conversational modes such as 'chat').
+ * @param {object} [options={}]
+ * @param {function(string): void} [options.onProgress] - If provided, the response is streamed and this is
+ *   called with the text received so far as tokens arrive.
+ * @param {Array<string>} [options.images=[]] - Image URLs (or data URLs) sent along with the input. Only
+ *   pass these for models flagged with "vision" in models.json.
+ * @param {Array<object>} [options.fallbackModels=[]] - Model entries to try, in order, if the model fails.
+ * @param {number} [options.timeoutMs=60000] - Per-request timeout (idle timeout when streaming).
+ * @param {number} [options.maxRetries=2] - Retries per model for transient failures.
+ * @param {number} [options.retryBaseDelayMs=1000] - Delay before the first retry; doubled for every further retry.
+ * @param {AbortSignal} [options.signal] - Cancels the request (and any retries and fallbacks) when aborted;
+ *   the result then has `cancelled` set.
+ * @param {function(object): void} [options.onRequest] - Called after every HTTP request (including retries and
+ *   fallbacks) with { modeId, modelId, outcome ('ok', 'error', 'timeout', 'interrupted' or 'cancelled'), latencyMs,
+ *   promptTokens, completionTokens }, e.g. for usage tracking. Token counts are 0 if the provider didn't report them.
+ * @param {Array<{source: string, target: string}>} [options.glossary=[]] - Glossary entries that occur in the input;
+ *   they are added to the system prompt so the model uses the required translations.
+ * @param {object} [options.parameters={}] - The user's generation parameters (/settings). They override the
+ *   mode's parameters, which override the model's own (see parameters.js).
+ * @returns {Promise<{ok: boolean, content: string, reasoning: (string|undefined), modelId: string, failedModelIds: Array<string>,
+ *   cancelled: (boolean|undefined)}>} - The AI's response, or an error message string with ok set to false. The answer never
+ *   includes the reasoning of thinking models; it is returned in `reasoning` (empty if there was none). `modelId` is the model
+ *   that produced the result, `failedModelIds` the models that failed before it.
+ */
+const callChatAPI = async (inputText, mode, model, history = [], options = {}) => {
+    const {
+        onProgress,
+        images = [],
+        fallbackModels = [],
+        timeoutMs = DEFAULT_TIMEOUT_MS,
+        maxRetries = DEFAULT_MAX_RETRIES,
+        retryBaseDelayMs = DEFAULT_RETRY_BASE_DELAY_MS,
+        onRequest = () => {},
+        signal,
+        glossary = [],
+        parameters = {},
+    } = options;
+    let userPrompt = inputText;
+
+    // Trim input just in case
+    userPrompt = userPrompt.trim();
+    if (!userPrompt) {
+        console.log("Ignoring empty input string for API call.");
+        return { ok: false, content: "Input cannot be empty.", modelId: model.id, failedModelIds: [] };
+    }
+
+    if (!mode || typeof mode.systemPrompt !== 'string') {
+        console.error("Invalid mode provided to callChatAPI:", mode);
+        return { ok: false, content: "Internal error: Invalid processing mode.", modelId: model.id, failedModelIds: [] }; // Inform user of internal issue
+    }
+    let systemPrompt = mode.systemPrompt;
+    if (glossary.length > 0) {
+        const glossaryLines = glossary.map(entry => `- "${entry.source}" -> "${entry.target}"`).join('\n');
+        systemPrompt += `\n\nGlossary: wherever these terms occur, translate them exactly as given:\n${glossaryLines}`;
+    }
+    const modPrefix = mode.userPrefix || ""; // Prefix only used for specific modes
+
+    const failedModelIds = [];
+    let lastResult = null;
+
+    for (const candidate of [model, ...fallbackModels]) {
+        let provider;
+        try {
+            provider = resolveProvider(candidate);
+        } catch (error) {
+            console.error("Provider configuration error:", error.message);
+            lastResult = { ok: false, content: `Sorry, the model is not configured correctly. ${error.message}`, retryable: false };
+            failedModelIds.push(candidate.id);
+            continue;
+        }
+
+        const payload = provider.buildPayload({
+            model: provider.upstreamModel,
+            systemPrompt,
+            userPrompt,
+            modPrefix,
+            history,
+            images,
+            // Merged per candidate, so fallback models keep their own defaults
+            parameters: mergeParameters(candidate.parameters, mode.parameters, parameters),
+            stream: Boolean(onProgress),
+        });
+
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            if (attempt > 0) {
+                // Exponential backoff, unless the provider asked for a specific wait
+                const delayMs = Math.min(lastResult.retryAfterMs || retryBaseDelayMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+                console.warn(`Retrying model ${candidate.id} in ${delayMs}ms (retry ${attempt} of ${maxRetries}).`);
+                await sleep(delayMs, signal);
+            }
+            if (signal && signal.aborted) {
+                return { ok: false, content: CANCELLED_RESULT.content, modelId: candidate.id, failedModelIds, cancelled: true };
+            }
+
+            console.log(`Calling ${provider.label} API in ${mode.id} mode with model ${candidate.id} (${history.length} history messages).`);
+            // console.log("Sending payload:", JSON.stringify(payload, null, 2)); // Uncomment for debugging prompts
+            const startedAt = Date.now();
+            lastResult = await requestCompletion(provider, payload, { onProgress, timeoutMs, signal, reasoningModel: Boolean(candidate.reasoning) });
+            try {
+                onRequest({
+                    modeId: mode.id,
+                    modelId: candidate.id,
+                    outcome: lastResult.ok ? 'ok' : (lastResult.cancelled ? 'cancelled' : (lastResult.interrupted ? 'interrupted' : (lastResult.timedOut ? 'timeout' : 'error'))),
+                    latencyMs: Date.now() - startedAt,
+                    promptTokens: lastResult.usage ? lastResult.usage.promptTokens : 0,
+                    completionTokens: lastResult.usage ? lastResult.usage.completionTokens : 0,
+                });
+            } catch (error) {
+                console.error("Request callback failed:", error.message);
+            }
+
+            if (lastResult.ok) {
+                return { ok: true, content: lastResult.content, reasoning: lastResult.reasoning, modelId: candidate.id, failedModelIds };
+            }
+            if (!lastResult.retryable) {
+                break;
+            }
+        }
+
+        // A partially streamed answer has already been shown; handing off would mix two answers
+        if (lastResult.interrupted || lastResult.cancelled) {
+            return { ok: false, content: lastResult.content, modelId: candidate.id, failedModelIds, interrupted: lastResult.interrupted, cancelled: lastResult.cancelled };
+        }
+        failedModelIds.push(candidate.id);
+        if (fallbackModels.length > 0) {
+            console.warn(`Model ${candidate.id} failed: ${lastResult.content}`);
         }
-        return `Sorry, I encountered a network or processing error while contacting the AI. Details: ${error.message}`;
     }
+
+    // Every model failed; report the last error and which models were tried
+    const lastModelId = failedModelIds[failedModelIds.length - 1];
+    const triedText = failedModelIds.length > 1 ? ` (Tried models: ${failedModelIds.join(', ')})` : "";
+    return { ok: false, content: `${lastResult.content}${triedText}`, modelId: lastModelId, failedModelIds };
 };
 
 module.exports = {
-    callOpenRouterAPI, // Export the renamed function
-};
\ No newline at end of file
+    callChatAPI,
+};
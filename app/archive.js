@@ -0,0 +1,141 @@
+const { loadJsonLines, streamJsonLines, appendJsonLine, flushJsonLines } = require('./utils');
+
+const EXPORT_FORMATS = ['csv', 'json', 'md'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates the translation archive: every successful input/output pair with its
+ * timestamp, chat, user, mode and model. Records are appended to a JSON Lines
+ * file, which is never rewritten. Only the last retentionDays are loaded and kept
+ * in memory for /recent and /search; /export reads the whole file. Lookups are per
+ * chat, so a group's archive is shared by its members and private chats stay private.
+ * @param {object} options
+ * @param {string} options.filePath - Path of the JSON Lines file.
+ * @param {number} [options.retentionDays=90] - How many days of records are kept in memory, 0 for all.
+ * @returns {object} - The archive.
+ */
+const createTranslationArchive = ({ filePath, retentionDays = 90 }) => {
+	/**
+	 * Returns the start of the retention period.
+	 * @returns {number} - The oldest timestamp kept in memory (-Infinity to keep all).
+	 */
+	const getRetainedSince = () => (retentionDays > 0 ? Date.now() - retentionDays * DAY_MS : -Infinity);
+	const loadedSince = getRetainedSince();
+	let records = loadJsonLines(filePath)
+		.filter(record => record && record.chatId !== undefined && Date.parse(record.timestamp) >= loadedSince);
+	console.log(`Loaded ${records.length} archived translations from ${filePath}.`);
+
+	/**
+	 * Drops in-memory records older than the retention period.
+	 */
+	const prune = () => {
+		const since = getRetainedSince();
+		if (records.length > 0 && Date.parse(records[0].timestamp) < since) {
+			records = records.filter(record => Date.parse(record.timestamp) >= since);
+		}
+	};
+
+	return {
+		/**
+		 * Stores an input/output pair.
+		 * @param {object} entry - { chatId, userId, modeId, modelId, input, output }.
+		 */
+		add(entry) {
+			const record = { timestamp: new Date().toISOString(), ...entry };
+			records.push(record);
+			prune();
+			appendJsonLine(filePath, record);
+		},
+
+		/**
+		 * Returns all records of a chat, oldest first.
+		 * @param {number} chatId - The chat ID.
+		 * @returns {Array<object>} - The records.
+		 */
+		list(chatId) {
+			return records.filter(record => record.chatId === chatId);
+		},
+
+		/**
+		 * Reads all records of a chat from the file, including those older than the
+		 * retention period, oldest first.
+		 * @param {number} chatId - The chat ID.
+		 * @returns {Promise<Array<object>>} - The records.
+		 */
+		async listAll(chatId) {
+			await flushJsonLines(); // Include records that are still being written
+			const chatRecords = [];
+			await streamJsonLines(filePath, record => {
+				if (record && record.chatId === chatId) {
+					chatRecords.push(record);
+				}
+			});
+			return chatRecords;
+		},
+
+		/**
+		 * Returns the most recent records of a chat, newest first.
+		 * @param {number} chatId - The chat ID.
+		 * @param {number} count - Maximum number of records.
+		 * @returns {Array<object>} - The records.
+		 */
+		recent(chatId, count) {
+			return this.list(chatId).slice(-count).reverse();
+		},
+
+		/**
+		 * Finds the records of a chat whose input or output contains a term (case-insensitive), newest first.
+		 * @param {number} chatId - The chat ID.
+		 * @param {string} term - The search term.
+		 * @returns {Array<object>} - The matching records.
+		 */
+		search(chatId, term) {
+			const needle = term.toLowerCase();
+			return this.list(chatId)
+				.filter(record => record.input.toLowerCase().includes(needle) || record.output.toLowerCase().includes(needle))
+				.reverse();
+		},
+	};
+};
+
+/**
+ * Quotes a CSV field if needed (RFC 4180).
+ * @param {*} value - The field value.
+ * @returns {string} - The CSV field.
+ */
+const csvField = (value) => {
+	const text = String(value === undefined || value === null ? '' : value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats archived records as a file.
+ * @param {Array<object>} records - The records, oldest first.
+ * @param {string} format - 'csv', 'json' or 'md'.
+ * @returns {{content: string, contentType: string}} - The file content and its MIME type.
+ */
+const formatArchiveExport = (records, format) => {
+	if (format === 'json') {
+		return { content: JSON.stringify(records, null, 2), contentType: 'application/json' };
+	}
+	if (format === 'csv') {
+		const columns = ['timestamp', 'modeId', 'modelId', 'userId', 'input', 'output'];
+		const lines = [columns.join(','), ...records.map(record => columns.map(column => csvField(record[column])).join(','))];
+		return { content: `${lines.join('\r\n')}\r\n`, contentType: 'text/csv' };
+	}
+	const sections = records.map(record => [
+		`## ${record.timestamp} · ${record.modeId} · ${record.modelId}`,
+		'### Input',
+		record.input,
+		'### Output',
+		record.output,
+	].join('\n\n'));
+	return { content: `# Translation history\n\n${sections.join('\n\n---\n\n')}\n`, contentType: 'text/markdown' };
+};
+
+module.exports = {
+	EXPORT_FORMATS,
+	createTranslationArchive,
+	formatArchiveExport,
+};
@@ -1,258 +1,1750 @@
-require('dotenv').config(); // Load environment variables from .env file
 const TelegramBot = require('node-telegram-bot-api');
 const fs = require('fs');
 const path = require('path');
-const { isAuthorized, sendMessage } = require('./utils'); // Import helpers
-// const { callDeepSeekAPI } = require('./api'); // Import API caller
-const { callOpenRouterAPI } = require('./apiv2'); // Import API caller
-
-// --- Configuration ---
-const token = process.env.TELEGRAM_BOT_TOKEN;
-const authorizedUserId = parseInt(process.env.AUTHORIZED_USER_ID, 10); // Ensure it's a number
-const deepSeekApiKey = process.env.DEEPSEEK_API_KEY;
-const deepSeekApiEndpoint = process.env.DEEPSEEK_API_ENDPOINT;
-const defaultModelId = process.env.DEEPSEEK_MODEL; // Default model from .env
-
-// Basic validation
-if (!token || !authorizedUserId || !deepSeekApiKey || !deepSeekApiEndpoint || !defaultModelId) {
-	console.error("Error: Missing required environment variables. Check your .env file.");
-	process.exit(1); // Exit if essential config is missing
-}
+const { isAuthorized, isAdmin, sendMessage, createThrottledEditor, createTtlCache, downloadTelegramFile, flushJsonLines } = require('./utils'); // Import helpers
+const { callChatAPI } = require('./apiv2'); // Import API caller
+const { resolveProvider } = require('./providers'); // Per-model API providers
+const { createHistoryStore } = require('./history'); // Chat mode conversation memory
+const { createStateStore } = require('./state'); // Persistent per-chat settings
+const { ROLES, createAccessList } = require('./access'); // Allowlist of users and group chats
+const { BUILT_IN_COMMANDS, loadModes, renderMode } = require('./modes'); // Mode registry loader
+const { LANGUAGES, AUTO, normalizeLanguageCode, getLanguageVariables, formatLanguage } = require('./languages'); // Target language selection
+const { buildModelKeyboard, buildRetryModelKeyboard, buildModeKeyboard, buildResultKeyboard } = require('./keyboards'); // Inline keyboards
+const { OUTPUT_FORMATS, sendFormattedResponse } = require('./formatter'); // Markdown rendering and long-response splitting
+const { formatCommitMessage, requestCommitMessages } = require('./commits'); // Conventional Commits output
+const { calculateCost, createUsageLog, getPeriodStart } = require('./usage'); // Token and cost tracking
+const { createChatQueue } = require('./queue'); // Per-chat request queue
+const { createRateLimiter } = require('./ratelimit'); // Per-user token bucket
+const { EXPORT_FORMATS, createTranslationArchive, formatArchiveExport } = require('./archive'); // Translation history
+const { createGlossary, findMissingTerms } = require('./glossary'); // Required term translations
+const { PARAMETERS, PARAMETER_NAMES, validateParameters, parseParameter, formatParameter } = require('./parameters'); // Generation settings
+const { createMetrics } = require('./metrics'); // Request counts and latencies for /metrics
+const { createHttpServer } = require('./server'); // Webhook, /healthz and /metrics
+const { loadConfig } = require('./config'); // Settings from .env
+const { GROUP_ADMIN_STATUSES, isGroupChat, routeMessage } = require('./groups'); // Group chat addressing
 
-// --- Bot State ---
-let currentMode = 'prompt'; // Default mode on startup
-let availableModels = []; // To store models from models.json
-let currentModelId = defaultModelId; // Initialize with default from .env
-
-// --- Load Models ---
-const modelsFilePath = path.join(__dirname, 'models.json');
-try {
-    if (fs.existsSync(modelsFilePath)) {
-        const modelsFileContent = fs.readFileSync(modelsFilePath, 'utf-8');
-        availableModels = JSON.parse(modelsFileContent);
-        // Validate if the default model ID from .env exists in models.json
-        const defaultModelExists = availableModels.some(model => model.id === defaultModelId);
-        if (!defaultModelExists) {
-            console.warn(`Warning: Default model ID "${defaultModelId}" from .env not found in models.json. Using the first model from models.json instead.`);
-            if (availableModels.length > 0) {
-                currentModelId = availableModels[0].id;
-            } else {
-                console.error("Error: models.json is empty. Please add at least one model definition.");
-                process.exit(1);
-            }
-        }
-        console.log("Successfully loaded models from models.json.");
-    } else {
-        console.warn("Warning: models.json not found. Using only the default model from .env.");
-        // Add the default model from .env as the only available model
-        availableModels.push({ id: defaultModelId, name: `${defaultModelId} (Default from .env)`, notes: "" });
-    }
-} catch (error) {
-    console.error("Error reading or parsing models.json:", error);
-    console.warn("Falling back to using only the default model from .env.");
-    availableModels = [{ id: defaultModelId, name: `${defaultModelId} (Default from .env)`, notes: "" }];
-    currentModelId = defaultModelId; // Ensure currentModelId is set even on error
-}
 
+/**
+ * Creates the bot: loads models, modes and saved data, and registers all command,
+ * message, button and inline query handlers. Nothing is received until start() is called.
+ * @param {object} config - The configuration, see loadConfig in config.js.
+ * @param {object} [deps={}]
+ * @param {object} [deps.telegram] - The Telegram client (a node-telegram-bot-api instance or compatible);
+ *   by default one is created for config.token, without polling.
+ * @returns {{bot: object, metrics: object, start: function(): Promise<void>, stop: function(): Promise<boolean>}} - The
+ *   Telegram client, the metrics collector, and functions to start and gracefully stop receiving updates.
+ * @throws {Error} - If models.json or modes.json can't be used.
+ */
+const createBot = (config, deps = {}) => {
+	const {
+		token,
+		authorizedUserId,
+		defaultModelId,
+		chatHistoryMaxTurns,
+		chatHistoryMaxChars,
+		stateFilePath,
+		streamResponses,
+		streamEditIntervalMs,
+		apiTimeoutMs,
+		apiMaxRetries,
+		apiRetryBaseDelayMs,
+		inlineModeIds,
+		inlineDebounceMs,
+		inlineCacheTtlMs,
+		inlineTimeoutMs,
+		outputFormat,
+		outputFileThreshold,
+		imageMaxBytes,
+		documentMaxBytes,
+		usageFilePath,
+		dailyTokenBudget,
+		dailyCostBudget,
+		archiveFilePath,
+		archiveRetentionDays,
+		glossaryFilePath,
+		chatQueueConcurrency,
+		rateLimitBurst,
+		rateLimitPerMinute,
+		accessFilePath,
+		updateMode,
+		webhookUrl,
+		webhookSecret,
+		httpPort,
+		httpHost,
+		shutdownTimeoutMs,
+		modelsFilePath,
+		modesFilePath,
+	} = config;
 
-// --- Bot Initialization ---
-const bot = new TelegramBot(token, { polling: true });
+	// --- Bot State ---
+	let availableModes = []; // To store modes from modes.json
+	let defaultMode = 'prompt'; // Mode for chats without saved settings
+	let availableModels = []; // To store models from models.json
+	let initialModelId = defaultModelId; // Model for chats without saved settings, initialized with default from .env
+	const chatHistory = createHistoryStore({ maxTurns: chatHistoryMaxTurns, maxChars: chatHistoryMaxChars });
+	const resultContexts = new Map(); // "chatId:messageId" -> { inputText, image, modeId, modelId, answeredModelId, commitMessages, note, reasoning } for result buttons
+	const MAX_RESULT_CONTEXTS = 500; // Oldest result messages lose their buttons' context beyond this
+	const requestQueue = createChatQueue({ concurrency: chatQueueConcurrency });
+	const rateLimiter = createRateLimiter({ capacity: rateLimitBurst, refillPerMinute: rateLimitPerMinute });
+	const metrics = createMetrics();
+	let shuttingDown = false; // Set once stop() is called
 
-console.log(`Bot started. Authorized User ID: ${authorizedUserId}`);
-console.log(`Default mode: ${currentMode}`);
-console.log(`Current model ID: ${currentModelId}`);
-console.log(`Current time: ${new Date().toLocaleString('en-US', { timeZone: 'Asia/Taipei' })} (Taiwan Time)`);
+	// --- Load Models ---
+	try {
+	    if (fs.existsSync(modelsFilePath)) {
+	        const modelsFileContent = fs.readFileSync(modelsFilePath, 'utf-8');
+	        availableModels = JSON.parse(modelsFileContent);
+	        // Validate if the default model ID from .env exists in models.json
+	        const defaultModelExists = availableModels.some(model => model.id === defaultModelId);
+	        if (!defaultModelExists && availableModels.length > 0) {
+	            console.warn(`Warning: Default model ID "${defaultModelId}" from .env not found in models.json. Using the first model from models.json instead.`);
+	            initialModelId = availableModels[0].id;
+	        }
+	        console.log("Successfully loaded models from models.json.");
+	    } else {
+	        console.warn("Warning: models.json not found. Using only the default model from .env.");
+	        // Add the default model from .env as the only available model
+	        availableModels.push({ id: defaultModelId, name: `${defaultModelId} (Default from .env)`, notes: "" });
+	    }
+	} catch (error) {
+	    console.error("Error reading or parsing models.json:", error);
+	    console.warn("Falling back to using only the default model from .env.");
+	    availableModels = [{ id: defaultModelId, name: `${defaultModelId} (Default from .env)`, notes: "" }];
+	    initialModelId = defaultModelId; // Ensure initialModelId is set even on error
+	}
+	if (availableModels.length === 0) {
+		throw new Error("models.json is empty. Please add at least one model definition.");
+	}
 
-// --- Bot Event Handlers ---
+	// Check every model's provider settings up front so misconfigured models are easy to spot
+	availableModels.forEach(model => {
+		model.parameters = validateParameters(model.parameters, `model "${model.id}"`);
+		try {
+			const provider = resolveProvider(model);
+			console.log(`Model ${model.id} -> ${provider.label} (${provider.endpoint})`);
+		} catch (error) {
+			console.warn(`Warning: ${error.message}`);
+		}
+	});
 
-// /start command
-bot.onText(/^\/start/, (msg) => {
-	const chatId = msg.chat.id;
-	const userId = msg.from.id;
+	/**
+	 * Finds a model entry by its ID.
+	 * @param {string} modelId - The model ID.
+	 * @returns {object|undefined} - The model entry from models.json, if it exists.
+	 */
+	const getModel = (modelId) => availableModels.find(model => model.id === modelId);
 
-	if (isAuthorized(userId, authorizedUserId)) {
-		sendMessage(bot, chatId, "You are authorized.");
-	} else {
-		bot.sendMessage(chatId, `User ID ${userId} is not authorized to use this bot.`); // Use plain text
-		console.log(`Unauthorized access attempt via /start by User ID: ${userId}`);
-	}
-});
-
-// /help command: Must exactly match '/help'
-bot.onText(/^\/help$/, (msg) => {
-	const chatId = msg.chat.id;
-	// Check authorization using the imported function and pass authorizedUserId
-	if (!isAuthorized(msg.from.id, authorizedUserId)) return;
-
-	const helpText = `Available Commands:
-/help - Show this help message.
-/prompt_mode - Switch to Prompt Translation Mode.
-/commit_mode - Switch to Commit Translation Mode.
-/chat_mode - Switch to General Chat Mode.
-/list_models - Show available AI models and the current one.
-/set_model <model_id> - Switch the AI model to use.
-
-Current Mode: ${currentMode}
-Current Model: ${currentModelId}
-
-Send any text message to process it with the current mode and model.`;
-
-	sendMessage(bot, chatId, helpText); // Use imported sendMessage
-});
-
-// /prompt_mode command
-bot.onText(/^\/prompt_mode$/, (msg) => {
-	const chatId = msg.chat.id;
-	if (!isAuthorized(msg.from.id, authorizedUserId)) return;
-
-	currentMode = 'prompt';
-	console.log(`User ${msg.from.id} switched mode to: ${currentMode}`);
-	sendMessage(bot, chatId, "Switched to Prompt Translation Mode.");
-});
-
-// /commit_mode command
-bot.onText(/^\/commit_mode$/, (msg) => {
-	const chatId = msg.chat.id;
-	if (!isAuthorized(msg.from.id, authorizedUserId)) return;
-
-	currentMode = 'commit';
-	console.log(`User ${msg.from.id} switched mode to: ${currentMode}`);
-	sendMessage(bot, chatId, "Switched to Commit Translation Mode.");
-});
-
-// /chat_mode command (New)
-bot.onText(/^\/chat_mode$/, (msg) => {
-	const chatId = msg.chat.id;
-	if (!isAuthorized(msg.from.id, authorizedUserId)) return;
-
-	currentMode = 'chat';
-	console.log(`User ${msg.from.id} switched mode to: ${currentMode}`);
-	sendMessage(bot, chatId, "Switched to General Chat Mode.");
-});
-
-
-// /list_models command (New)
-bot.onText(/^\/list_models$/, (msg) => {
-    const chatId = msg.chat.id;
-    if (!isAuthorized(msg.from.id, authorizedUserId)) return;
-
-    let modelListText = "Available Models:\n";
-    if (availableModels.length > 0) {
-        availableModels.forEach(model => {
-            const isCurrent = model.id === currentModelId ? " (Current)" : "";
-            modelListText += `- ${model.name || model.id}${isCurrent}\n  ID: ${model.id}\n`;
-            if(model.notes) {
-                modelListText += `  Notes: ${model.notes}\n`;
-            }
-        });
-    } else {
-        modelListText = "No models loaded. Please check models.json or the .env configuration.";
-    }
-    modelListText += `\nCurrent Model ID: ${currentModelId}`;
-
-    sendMessage(bot, chatId, modelListText);
-});
-
-// /set_model command (New)
-bot.onText(/^\/set_model (.+)$/, (msg, match) => {
-    const chatId = msg.chat.id;
-    if (!isAuthorized(msg.from.id, authorizedUserId)) return;
-
-    const requestedModelId = match[1].trim(); // Get the model ID from the command
-
-    const foundModel = availableModels.find(model => model.id === requestedModelId);
-
-    if (foundModel) {
-        currentModelId = foundModel.id;
-        console.log(`User ${msg.from.id} switched model to: ${currentModelId}`);
-        sendMessage(bot, chatId, `Switched model to: ${currentModelId}`);
-    } else {
-        sendMessage(bot, chatId, `Error: Model ID "${requestedModelId}" not found. Use /list_models to see available models.`);
-    }
-});
-
-
-// Handle regular text messages
-bot.on('message', async (msg) => {
-	const chatId = msg.chat.id;
-	const userId = msg.from.id;
-
-	// 1. Check authorization FIRST
-	if (!isAuthorized(userId, authorizedUserId)) {
-		// Silently ignore messages from unauthorized users (except /start)
-		return;
-	}
+	/**
+	 * Returns the fallback chain of a model: the entries named in its "fallback" list
+	 * in models.json, in order, skipping unknown IDs, duplicates and the model itself.
+	 * @param {object} model - The model entry.
+	 * @returns {Array<object>} - The fallback model entries.
+	 */
+	const getFallbackModels = (model) => {
+		const fallbackModels = [];
+		(Array.isArray(model.fallback) ? model.fallback : []).forEach(fallbackId => {
+			const fallbackModel = getModel(fallbackId);
+			if (fallbackModel && fallbackModel.id !== model.id && !fallbackModels.includes(fallbackModel)) {
+				fallbackModels.push(fallbackModel);
+			}
+		});
+		return fallbackModels;
+	};
 
-	// 2. Ignore non-text messages
-	if (!msg.text) {
-		return;
-	}
+	availableModels.forEach(model => {
+		(Array.isArray(model.fallback) ? model.fallback : []).forEach(fallbackId => {
+			if (!getModel(fallbackId)) {
+				console.warn(`Warning: Fallback model "${fallbackId}" of ${model.id} not found in models.json. It will be skipped.`);
+			}
+		});
+	});
 
-	// 3. Ignore messages that are exact commands handled by onText
-	// This prevents processing commands like '/help' as text input.
-	// Add new commands here as they are implemented.
-	const commands = ['/start', '/help', '/prompt_mode', '/commit_mode', '/chat_mode', '/list_models'];
-    // Check if the message exactly matches a command or starts with /set_model (which requires an argument)
-	if (commands.includes(msg.text) || msg.text.startsWith('/set_model ')) {
-		// Message is a known command, handled by its specific onText handler. Do nothing here.
-		return;
+	// --- Load Modes ---
+	try {
+		availableModes = loadModes(modesFilePath);
+		if (!availableModes.some(mode => mode.id === defaultMode)) {
+			defaultMode = availableModes[0].id;
+		}
+		console.log(`Successfully loaded ${availableModes.length} modes from modes.json.`);
+	} catch (error) {
+		throw new Error(`Could not load modes.json. The bot needs at least one mode to process messages. ${error.message}`);
 	}
 
-	// 4. Process the text message using the imported API function
-	console.log(`Processing text from user ${userId} in ${currentMode} mode with model ${currentModelId}: "${msg.text}"`);
+	/**
+	 * Finds a mode definition by its ID.
+	 * @param {string} modeId - The mode ID.
+	 * @returns {object|undefined} - The mode definition, if it exists.
+	 */
+	const getMode = (modeId) => availableModes.find(mode => mode.id === modeId);
+
+	// --- Load Access List ---
+	const accessList = createAccessList({ filePath: accessFilePath, bootstrapAdminId: authorizedUserId });
+
+	// --- Load Usage Log ---
+	const usageLog = createUsageLog({ filePath: usageFilePath });
+
+	/**
+	 * Creates the onRequest callback for callChatAPI that logs every API request of a user
+	 * and counts it in the metrics.
+	 * @param {number} userId - The user who made the request.
+	 * @param {number|null} chatId - The chat it was made in (null for inline queries).
+	 * @returns {function(object): void} - The callback.
+	 */
+	const trackUsage = (userId, chatId) => (request) => {
+		const model = getModel(request.modelId);
+		usageLog.record({
+			userId,
+			chatId,
+			...request,
+			cost: calculateCost(model && model.pricing, request.promptTokens, request.completionTokens),
+		});
+		metrics.recordRequest(request);
+	};
+
+	/**
+	 * Checks a user's usage today against DAILY_TOKEN_BUDGET and DAILY_COST_BUDGET.
+	 * Admins have no budget.
+	 * @param {number} userId - The user ID.
+	 * @returns {string|null} - A message explaining which budget is used up, or null if the user may continue.
+	 */
+	const getBudgetExceededMessage = (userId) => {
+		if ((!dailyTokenBudget && !dailyCostBudget) || isAdmin(userId, accessList)) {
+			return null;
+		}
+		const { total } = usageLog.summarize({ since: getPeriodStart('today'), userId });
+		const usedTokens = total.promptTokens + total.completionTokens;
+		if (dailyTokenBudget && usedTokens >= dailyTokenBudget) {
+			return `Sorry, you have used your daily budget of ${dailyTokenBudget} tokens (${usedTokens} used). It resets at midnight.`;
+		}
+		if (dailyCostBudget && total.cost >= dailyCostBudget) {
+			return `Sorry, you have used your daily budget of $${dailyCostBudget.toFixed(2)} ($${total.cost.toFixed(4)} used). It resets at midnight.`;
+		}
+		return null;
+	};
+
+	// --- Load Translation Archive ---
+	const translationArchive = createTranslationArchive({ filePath: archiveFilePath, retentionDays: archiveRetentionDays });
+
+	// --- Load Glossaries ---
+	const glossary = createGlossary({ filePath: glossaryFilePath });
+
+	// --- Load Saved Settings ---
+	const chatSettings = createStateStore({
+		filePath: stateFilePath,
+		defaults: { mode: defaultMode, modelId: initialModelId, preferences: {} },
+	});
+
+	/**
+	 * Returns the mode and model of a chat, falling back to the defaults if the
+	 * saved mode or model has since been removed from modes.json or models.json.
+	 * @param {number} chatId - The chat ID.
+	 * @returns {{mode: string, modelId: string, preferences: object}} - The chat's settings.
+	 */
+	const getChatSettings = (chatId) => {
+		const settings = chatSettings.get(chatId);
+		if (!getMode(settings.mode)) {
+			console.warn(`Saved mode "${settings.mode}" for chat ${chatId} is no longer available. Using ${defaultMode}.`);
+			settings.mode = defaultMode;
+		}
+		if (!availableModels.some(model => model.id === settings.modelId)) {
+			console.warn(`Saved model "${settings.modelId}" for chat ${chatId} is no longer available. Using ${initialModelId}.`);
+			settings.modelId = initialModelId;
+		}
+		return settings;
+	};
+
+	/**
+	 * Returns the source and target language of a chat for a given mode. The chat's
+	 * /lang choice wins; otherwise the mode's own target language is used.
+	 * @param {number} chatId - The chat ID.
+	 * @param {object} mode - The mode definition.
+	 * @returns {{sourceLang: string, targetLang: string}} - Language codes, or "auto".
+	 */
+	const getChatLanguages = (chatId, mode) => {
+		const { preferences } = chatSettings.get(chatId);
+		return {
+			sourceLang: preferences.sourceLang || AUTO,
+			targetLang: preferences.targetLang || mode.targetLanguage,
+		};
+	};
+
+	/**
+	 * Returns a user's own generation parameters, set with /settings. They are kept
+	 * with the user's private chat settings and apply in every chat and inline query.
+	 * @param {number} userId - The user ID.
+	 * @returns {object} - The parameters, e.g. { temperature: 0.7 }.
+	 */
+	const getUserParameters = (userId) => chatSettings.get(userId).preferences.parameters || {};
+
+	// --- Bot Initialization ---
+	// Updates arrive once start() is called: by polling, or through the HTTP server in webhook mode
+	const bot = deps.telegram || new TelegramBot(token, { polling: false });
+
+	// --- Group Chats ---
+	let botUsernamePromise = null;
+
+	/**
+	 * Returns the bot's username, asking Telegram once.
+	 * @returns {Promise<string>} - The username, without the @.
+	 */
+	const getBotUsername = () => {
+		if (!botUsernamePromise) {
+			botUsernamePromise = bot.getMe().then(me => me.username).catch(error => {
+				botUsernamePromise = null; // Ask again with the next message
+				throw error;
+			});
+		}
+		return botUsernamePromise;
+	};
+
+	// Every update passes through here (polling, webhook and tests all call processUpdate), so the
+	// handlers below only see messages meant for this bot, with "@botname" removed (see routeMessage)
+	const dispatchUpdate = bot.processUpdate.bind(bot);
+	bot.processUpdate = (update) => {
+		if (!update.message) {
+			dispatchUpdate(update);
+			return Promise.resolve();
+		}
+		return getBotUsername()
+			.catch(error => {
+				console.error("Failed to get the bot's username:", error.message);
+				return null; // Group messages can't be checked for mentions; plain commands still work
+			})
+			.then(botUsername => {
+				const commands = [...BUILT_IN_COMMANDS, ...availableModes.map(mode => mode.command)];
+				const message = routeMessage(update.message, botUsername, commands);
+				if (message) {
+					dispatchUpdate({ ...update, message });
+				}
+			})
+			.catch(error => console.error("Error handling update:", error));
+	};
+
+	/**
+	 * Checks whether a user may change a group's mode, model and languages: group admins
+	 * and admins of the bot may. (In private chats, users always change their own.)
+	 * @param {object} chat - The Telegram group chat.
+	 * @param {number} userId - The user ID.
+	 * @returns {Promise<boolean>} - True if the user may change the settings.
+	 */
+	const isGroupAdmin = async (chat, userId) => {
+		if (isAdmin(userId, accessList)) {
+			return true;
+		}
+		try {
+			const member = await bot.getChatMember(chat.id, userId);
+			return GROUP_ADMIN_STATUSES.includes(member.status);
+		} catch (error) {
+			console.warn(`Failed to check the status of user ${userId} in chat ${chat.id}:`, error.message);
+			return false;
+		}
+	};
+	const GROUP_SETTINGS_DENIED_TEXT = "Only admins of this group can change its mode, model and languages.";
 
-	// Send processing message and store it for editing
-    let ackMsg;
-    try {
-        ackMsg = await bot.sendMessage(chatId, `Processing in ${currentMode} mode with ${currentModelId}...`);
-    } catch (sendError) {
-        console.error("Failed to send acknowledgment message:", sendError.message);
-        // If we can't even send the ack, just proceed without editing later
-    }
+	// --- Bot Event Handlers ---
 
+	// /start command
+	bot.onText(/^\/start/, (msg) => {
+		const chatId = msg.chat.id;
+		const userId = msg.from.id;
 
-	const aiResponse = await callOpenRouterAPI(msg.text, currentMode, currentModelId, deepSeekApiEndpoint, deepSeekApiKey);
+		if (isAuthorized(userId, accessList, chatId)) {
+			sendMessage(bot, chatId, "You are authorized.");
+			return;
+		}
+
+		console.log(`Unauthorized access attempt via /start by User ID: ${userId}`);
+		const displayName = formatUserName(msg.from);
+		if (!accessList.addRequest(userId, displayName, chatId)) {
+			sendMessage(bot, chatId, `User ID ${userId} is not authorized to use this bot. Your access request is still waiting for an admin.`);
+			return;
+		}
+
+		sendMessage(bot, chatId, `User ID ${userId} is not authorized to use this bot. An access request has been sent to the admins.`);
+
+		// Notify every admin in their private chat with Approve/Reject buttons
+		const requestText = `Access request from ${displayName}\nUser ID: ${userId}${chatId !== userId ? `\nChat ID: ${chatId}` : ''}`;
+		accessList.getAdminIds().forEach(adminId => {
+			bot.sendMessage(adminId, requestText, {
+				reply_markup: {
+					inline_keyboard: [[
+						{ text: "Approve", callback_data: `access:approve:${userId}` },
+						{ text: "Reject", callback_data: `access:reject:${userId}` },
+					]]
+				}
+			}).catch(error => {
+				console.error(`Failed to notify admin ${adminId} of access request:`, error.message);
+			});
+		});
+	});
+
+	// /help command: Must exactly match '/help'
+	bot.onText(/^\/help$/, (msg) => {
+		const chatId = msg.chat.id;
+		// Check authorization using the imported function and pass the access list
+		if (!isAuthorized(msg.from.id, accessList, chatId)) return;
+
+		const { mode: currentMode, modelId: currentModelId } = getChatSettings(chatId);
+		const { sourceLang, targetLang } = getChatLanguages(chatId, getMode(currentMode));
+		const modeCommandsText = availableModes.map(mode => `/${mode.command} - Switch to ${mode.label} Mode.`).join('\n');
+		let helpText = `Available Commands:
+	/help - Show this help message.
+	/modes - Show available modes and the current one.
+	/mode - Choose a mode with buttons.
+	${modeCommandsText}
+	/list_models - Show available AI models and choose one with buttons.
+	/set_model <model_id> - Switch the AI model to use.
+	/lang [source] <target> - Set the target (and optionally source) language, or show them without arguments.
+	/reset - Clear the chat mode conversation history.
+	/history - Show the remembered chat mode conversation.
+	/undo - Remove the last exchange from the conversation history.
+	/cancel - Cancel your running and queued requests.
+	/recent [n] - Show the last n translations of this chat (default 5).
+	/search <term> - Find past translations containing a term.
+	/export [csv|json|md] - Get all translations of this chat as a file.
+	/stats [today|week|month] - Show token usage and cost per model and mode.
+	/glossary add <source> = <target> - Always translate a term this way in this chat.
+	/glossary list - Show this chat's glossary.
+	/glossary remove <source> - Remove a term from the glossary.
+	/tr [text] - Translate the message you reply to, or the text after the command.
+	/settings [<name> <value>|reset] - Show or change your temperature, top_p, max_tokens, reasoning_effort and stop sequences.
+
+	Current Mode: ${currentMode}
+	Current Model: ${currentModelId}
+	Languages: ${formatLanguage(sourceLang)} -> ${formatLanguage(targetLang)}
+	Remembered Turns: ${chatHistory.getTurns(chatId).length}
+
+	Send any text message to process it with the current mode and model.`;
+
+		if (isAdmin(msg.from.id, accessList)) {
+			helpText += `
+
+	Admin Commands:
+	/users - Show the access list.
+	/allow <id> [admin|user] - Allow a user ID or group chat ID (default role: user).
+	/deny <id> - Remove a user ID or group chat ID from the access list.`;
+		}
+
+		sendMessage(bot, chatId, helpText); // Use imported sendMessage
+	});
+
+	// /modes command: Lists the modes defined in modes.json
+	bot.onText(/^\/modes$/, (msg) => {
+		const chatId = msg.chat.id;
+		if (!isAuthorized(msg.from.id, accessList, chatId)) return;
+
+		const { mode: currentMode } = getChatSettings(chatId);
+		let modeListText = "Available Modes:\n";
+		availableModes.forEach(mode => {
+			const isCurrent = mode.id === currentMode ? " (Current)" : "";
+			modeListText += `- ${mode.label}${isCurrent}\n  Command: /${mode.command}\n`;
+			if (mode.description) {
+				modeListText += `  ${mode.description}\n`;
+			}
+			if (mode.defaultModel) {
+				modeListText += `  Default Model: ${mode.defaultModel}\n`;
+			}
+		});
+
+		sendMessage(bot, chatId, modeListText);
+	});
+
+	/**
+	 * Switches a chat to a mode. A mode can bring its own model, as long as that model
+	 * is still available.
+	 * @param {number} chatId - The chat ID.
+	 * @param {number} userId - The user who switched.
+	 * @param {object} mode - The mode definition.
+	 * @returns {string} - The confirmation text.
+	 */
+	const switchMode = (chatId, userId, mode) => {
+		const changes = { mode: mode.id };
+		let switchedText = `Switched to ${mode.label} Mode.`;
+		if (mode.defaultModel) {
+			if (availableModels.some(model => model.id === mode.defaultModel)) {
+				changes.modelId = mode.defaultModel;
+				switchedText += ` Model: ${mode.defaultModel}`;
+			} else {
+				console.warn(`Default model "${mode.defaultModel}" of mode "${mode.id}" not found in models.json. Keeping the current model.`);
+			}
+		}
+
+		chatSettings.set(chatId, changes);
+		console.log(`User ${userId} switched mode to: ${mode.id} (chat ${chatId})`);
+		return switchedText;
+	};
+
+	// Mode switching commands (/prompt_mode, /commit_mode, /chat_mode, ...), one per mode in modes.json
+	availableModes.forEach(mode => {
+		bot.onText(new RegExp(`^\\/${mode.command}$`), async (msg) => {
+			const chatId = msg.chat.id;
+			if (!isAuthorized(msg.from.id, accessList, chatId)) return;
+
+			if (isGroupChat(msg.chat) && !(await isGroupAdmin(msg.chat, msg.from.id))) {
+				sendMessage(bot, chatId, GROUP_SETTINGS_DENIED_TEXT);
+				return;
+			}
+			sendMessage(bot, chatId, switchMode(chatId, msg.from.id, mode));
+		});
+	});
+
+	// /mode command: Shows the modes as buttons
+	bot.onText(/^\/mode$/, (msg) => {
+		const chatId = msg.chat.id;
+		if (!isAuthorized(msg.from.id, accessList, chatId)) return;
+
+		const { mode: currentMode } = getChatSettings(chatId);
+		sendMessage(bot, chatId, "Choose a mode:", { reply_markup: buildModeKeyboard(availableModes, currentMode) });
+	});
 
-	// Edit the acknowledgment message with the result or error
-	if (ackMsg && ackMsg.message_id) {
-		bot.editMessageText(aiResponse || "Sorry, an error occurred and no response was generated.", {
+	// /lang command: Shows or sets the source and target language of translations
+	// /lang                   -> show the current languages
+	// /lang <target>          -> set the target language
+	// /lang <source> <target> -> set both (source may be "auto")
+	// /lang reset             -> go back to each mode's default
+	bot.onText(/^\/lang(?: (\S+)(?: (\S+))?)?$/, async (msg, match) => {
+		const chatId = msg.chat.id;
+		if (!isAuthorized(msg.from.id, accessList, chatId)) return;
+
+		const languageCodesText = `Available codes: ${AUTO}, ${Object.keys(LANGUAGES).join(', ')}`;
+
+		if (!match[1]) {
+			const { sourceLang, targetLang } = getChatLanguages(chatId, getMode(getChatSettings(chatId).mode));
+			sendMessage(bot, chatId, `Source Language: ${formatLanguage(sourceLang)}\nTarget Language: ${formatLanguage(targetLang)}\n\nUsage: /lang [source] <target>, or /lang reset\n${languageCodesText}`);
+			return;
+		}
+		if (isGroupChat(msg.chat) && !(await isGroupAdmin(msg.chat, msg.from.id))) {
+			sendMessage(bot, chatId, GROUP_SETTINGS_DENIED_TEXT);
+			return;
+		}
+
+		if (match[1].toLowerCase() === 'reset' && !match[2]) {
+			chatSettings.setPreference(chatId, 'sourceLang', undefined);
+			chatSettings.setPreference(chatId, 'targetLang', undefined);
+			console.log(`User ${msg.from.id} reset languages (chat ${chatId})`);
+			sendMessage(bot, chatId, "Languages reset. Each mode uses its default target language and detects the source language.");
+			return;
+		}
+
+		const sourceLang = match[2] ? normalizeLanguageCode(match[1]) : null;
+		const targetLang = normalizeLanguageCode(match[2] || match[1]);
+		if ((match[2] && !sourceLang) || !targetLang) {
+			sendMessage(bot, chatId, `Error: Unknown language code. ${languageCodesText}`);
+			return;
+		}
+
+		if (sourceLang) {
+			chatSettings.setPreference(chatId, 'sourceLang', sourceLang);
+		}
+		chatSettings.setPreference(chatId, 'targetLang', targetLang);
+		const { sourceLang: currentSourceLang } = getChatLanguages(chatId, getMode(getChatSettings(chatId).mode));
+		console.log(`User ${msg.from.id} set languages to ${currentSourceLang} -> ${targetLang} (chat ${chatId})`);
+		sendMessage(bot, chatId, `Languages set: ${formatLanguage(currentSourceLang)} -> ${formatLanguage(targetLang)}`);
+	});
+
+	// /list_models command (New)
+	bot.onText(/^\/list_models$/, (msg) => {
+	    const chatId = msg.chat.id;
+	    if (!isAuthorized(msg.from.id, accessList, chatId)) return;
+
+	    const { modelId: currentModelId } = getChatSettings(chatId);
+	    let modelListText = "Available Models:\n";
+	    if (availableModels.length > 0) {
+	        availableModels.forEach(model => {
+	            const isCurrent = model.id === currentModelId ? " (Current)" : "";
+	            modelListText += `- ${model.name || model.id}${isCurrent}\n  ID: ${model.id}\n`;
+	            if (model.provider && model.provider !== 'openrouter') {
+	                modelListText += `  Provider: ${model.provider}\n`;
+	            }
+	            if(model.notes) {
+	                modelListText += `  Notes: ${model.notes}\n`;
+	            }
+	        });
+	    } else {
+	        modelListText = "No models loaded. Please check models.json or the .env configuration.";
+	    }
+	    modelListText += `\nCurrent Model ID: ${currentModelId}\n\nTap a model below to switch.`;
+
+	    sendMessage(bot, chatId, modelListText, { reply_markup: buildModelKeyboard(availableModels, currentModelId) });
+	});
+
+	// /set_model command (New)
+	bot.onText(/^\/set_model (.+)$/, async (msg, match) => {
+	    const chatId = msg.chat.id;
+	    if (!isAuthorized(msg.from.id, accessList, chatId)) return;
+
+	    if (isGroupChat(msg.chat) && !(await isGroupAdmin(msg.chat, msg.from.id))) {
+	        sendMessage(bot, chatId, GROUP_SETTINGS_DENIED_TEXT);
+	        return;
+	    }
+
+	    const requestedModelId = match[1].trim(); // Get the model ID from the command
+
+	    const foundModel = availableModels.find(model => model.id === requestedModelId);
+
+	    if (foundModel) {
+	        chatSettings.set(chatId, { modelId: foundModel.id });
+	        console.log(`User ${msg.from.id} switched model to: ${foundModel.id} (chat ${chatId})`);
+	        sendMessage(bot, chatId, `Switched model to: ${foundModel.id}`);
+	    } else {
+	        sendMessage(bot, chatId, `Error: Model ID "${requestedModelId}" not found. Use /list_models to see available models.`);
+	    }
+	});
+
+	// /reset command: Clears the chat mode conversation history
+	bot.onText(/^\/reset$/, (msg) => {
+		const chatId = msg.chat.id;
+		if (!isAuthorized(msg.from.id, accessList, chatId)) return;
+
+		const removedCount = chatHistory.reset(chatId);
+		console.log(`User ${msg.from.id} reset the conversation history (${removedCount} turns removed).`);
+		sendMessage(bot, chatId, removedCount > 0
+			? `Conversation history cleared (${removedCount} turns removed).`
+			: "Conversation history is already empty.");
+	});
+
+	// /history command: Shows the remembered chat mode conversation
+	bot.onText(/^\/history$/, (msg) => {
+		const chatId = msg.chat.id;
+		if (!isAuthorized(msg.from.id, accessList, chatId)) return;
+
+		const turns = chatHistory.getTurns(chatId);
+		if (turns.length === 0) {
+			sendMessage(bot, chatId, "Conversation history is empty. Messages sent in chat mode will be remembered here.");
+			return;
+		}
+
+		// Keep each line short so long conversations still fit in a single message
+		let historyText = `Conversation history (${turns.length} turns):\n`;
+		turns.forEach((turn, index) => {
+			historyText += `\n${index + 1}. You: ${preview(turn.user)}\n   AI: ${preview(turn.assistant)}\n`;
+		});
+		historyText += "\nUse /undo to remove the last exchange or /reset to clear everything.";
+
+		sendMessage(bot, chatId, historyText);
+	});
+
+	// /undo command: Removes the last exchange from the conversation history
+	bot.onText(/^\/undo$/, (msg) => {
+		const chatId = msg.chat.id;
+		if (!isAuthorized(msg.from.id, accessList, chatId)) return;
+
+		const removedTurn = chatHistory.undo(chatId);
+		if (removedTurn) {
+			console.log(`User ${msg.from.id} removed the last conversation turn.`);
+			sendMessage(bot, chatId, `Removed the last exchange. ${chatHistory.getTurns(chatId).length} turns remain.`);
+		} else {
+			sendMessage(bot, chatId, "Nothing to undo. The conversation history is empty.");
+		}
+	});
+
+	/**
+	 * Formats archived records as a numbered list for /recent and /search.
+	 * @param {Array<object>} records - The records, in display order.
+	 * @returns {string} - The list.
+	 */
+	const formatArchiveList = (records) => records.map((record, index) => {
+		const time = record.timestamp.slice(0, 16).replace('T', ' ');
+		return `${index + 1}. [${time} UTC, ${record.modeId}, ${record.modelId}]\n   In: ${preview(record.input)}\n   Out: ${preview(record.output)}`;
+	}).join('\n\n');
+
+	// /recent command: Shows the last translations of this chat
+	bot.onText(/^\/recent(?: (\d+))?$/, (msg, match) => {
+		const chatId = msg.chat.id;
+		if (!isAuthorized(msg.from.id, accessList, chatId)) return;
+
+		const count = Math.min(Math.max(parseInt(match[1], 10) || 5, 1), 50);
+		const records = translationArchive.recent(chatId, count);
+		if (records.length === 0) {
+			sendMessage(bot, chatId, "No translations archived in this chat yet.");
+			return;
+		}
+		sendMessage(bot, chatId, `Last ${records.length} translation(s) (newest first):\n\n${formatArchiveList(records)}\n\nUse /export [csv|json|md] to get the full texts.`);
+	});
+
+	// /search command: Finds past translations of this chat containing a term
+	bot.onText(/^\/search (.+)$/, (msg, match) => {
+		const chatId = msg.chat.id;
+		if (!isAuthorized(msg.from.id, accessList, chatId)) return;
+
+		const term = match[1].trim();
+		const records = translationArchive.search(chatId, term);
+		if (records.length === 0) {
+			sendMessage(bot, chatId, `No archived translations contain "${term}".`);
+			return;
+		}
+		const shown = records.slice(0, 10);
+		const moreText = records.length > shown.length ? ` (showing the newest ${shown.length})` : "";
+		sendMessage(bot, chatId, `${records.length} translation(s) contain "${term}"${moreText}:\n\n${formatArchiveList(shown)}`);
+	});
+
+	// /export command: Sends all archived translations of this chat as a file
+	bot.onText(/^\/export(?: (\S+))?$/, async (msg, match) => {
+		const chatId = msg.chat.id;
+		if (!isAuthorized(msg.from.id, accessList, chatId)) return;
+
+		const format = (match[1] || 'md').toLowerCase();
+		if (!EXPORT_FORMATS.includes(format)) {
+			sendMessage(bot, chatId, `Usage: /export [${EXPORT_FORMATS.join('|')}]`);
+			return;
+		}
+		const records = await translationArchive.listAll(chatId);
+		if (records.length === 0) {
+			sendMessage(bot, chatId, "No translations archived in this chat yet.");
+			return;
+		}
+
+		const { content, contentType } = formatArchiveExport(records, format);
+		const fileName = `translations-${new Date().toISOString().slice(0, 10)}.${format}`;
+		console.log(`User ${msg.from.id} exported ${records.length} translations of chat ${chatId} as ${format}.`);
+		bot.sendDocument(chatId, Buffer.from(content, 'utf-8'), { caption: `${records.length} translations` }, { filename: fileName, contentType })
+			.catch(error => {
+				console.error(`Failed to send ${fileName} to chat ID ${chatId}:`, error.message);
+				sendMessage(bot, chatId, `Sorry, I couldn't send the export. ${error.message}`);
+			});
+	});
+
+	// /glossary command: Manages the chat's glossary (shared by everyone in a group chat)
+	bot.onText(/^\/glossary(?: (\S+)(?: ([\s\S]+))?)?$/, (msg, match) => {
+		const chatId = msg.chat.id;
+		if (!isAuthorized(msg.from.id, accessList, chatId)) return;
+
+		const action = (match[1] || 'list').toLowerCase();
+		const argument = (match[2] || '').trim();
+		const usageText = "Usage:\n/glossary add <source> = <target>\n/glossary list\n/glossary remove <source>";
+
+		if (action === 'list' && !argument) {
+			const entries = glossary.list(chatId);
+			if (entries.length === 0) {
+				sendMessage(bot, chatId, `The glossary of this chat is empty.\n\n${usageText}`);
+				return;
+			}
+			const lines = entries.map(entry => `- ${entry.source} = ${entry.target}`).join('\n');
+			sendMessage(bot, chatId, `Glossary (${entries.length} term(s)):\n${lines}`);
+			return;
+		}
+
+		if (action === 'add') {
+			const separatorIndex = argument.indexOf('=');
+			if (separatorIndex < 0) {
+				sendMessage(bot, chatId, usageText);
+				return;
+			}
+			const source = argument.slice(0, separatorIndex).trim();
+			const target = argument.slice(separatorIndex + 1).trim();
+			const error = glossary.add(chatId, source, target, msg.from.id);
+			if (error) {
+				sendMessage(bot, chatId, error);
+				return;
+			}
+			console.log(`User ${msg.from.id} set glossary term "${source}" = "${target}" in chat ${chatId}.`);
+			sendMessage(bot, chatId, `Glossary: "${source}" will be translated as "${target}".`);
+			return;
+		}
+
+		if (action === 'remove' && argument) {
+			if (!glossary.remove(chatId, argument)) {
+				sendMessage(bot, chatId, `"${argument}" is not in the glossary. See /glossary list.`);
+				return;
+			}
+			console.log(`User ${msg.from.id} removed glossary term "${argument}" in chat ${chatId}.`);
+			sendMessage(bot, chatId, `Removed "${argument}" from the glossary.`);
+			return;
+		}
+
+		sendMessage(bot, chatId, usageText);
+	});
+
+	// /settings command: Shows or changes the user's own generation parameters
+	// /settings                -> show the effective parameters for the current mode and model
+	// /settings <name> <value> -> override a parameter
+	// /settings <name> reset   -> remove an override
+	// /settings reset          -> remove all overrides
+	bot.onText(/^\/settings(?: (\S+)(?: ([\s\S]+))?)?$/, (msg, match) => {
+		const chatId = msg.chat.id;
+		const userId = msg.from.id;
+		if (!isAuthorized(userId, accessList, chatId)) return;
+
+		const userParameters = getUserParameters(userId);
+		const usageText = `Usage:\n/settings <name> <value> - e.g. /settings temperature 0.7\n/settings <name> reset\n/settings reset\n\n${PARAMETER_NAMES.map(name => `${name}: ${PARAMETERS[name].description}`).join('\n')}`;
+
+		if (!match[1]) {
+			const { mode: currentMode, modelId: currentModelId } = getChatSettings(chatId);
+			const mode = getMode(currentMode);
+			// Same order as the merge in callChatAPI: model < mode < user
+			const layers = [['model', getModel(currentModelId).parameters], ['mode', mode.parameters], ['you', userParameters]];
+			const lines = PARAMETER_NAMES.map(name => {
+				const layer = layers.filter(([, parameters]) => parameters && parameters[name] !== undefined).pop();
+				return layer ? `${name}: ${formatParameter(layer[1][name])} (${layer[0]})` : `${name}: provider default`;
+			});
+			sendMessage(bot, chatId, `Generation settings for ${mode.label} Mode with ${currentModelId}:\n${lines.join('\n')}\n\nYour settings override the mode's, which override the model's.\n${usageText}`);
+			return;
+		}
+
+		const name = match[1].toLowerCase();
+		if (name === 'reset' && !match[2]) {
+			chatSettings.setPreference(userId, 'parameters', undefined);
+			console.log(`User ${userId} reset their generation settings.`);
+			sendMessage(bot, chatId, "Your generation settings were reset. The mode's and model's defaults apply.");
+			return;
+		}
+		if (!match[2]) {
+			sendMessage(bot, chatId, usageText);
+			return;
+		}
+
+		const parameters = { ...userParameters };
+		if (match[2].trim().toLowerCase() === 'reset') {
+			if (!PARAMETERS[name]) {
+				sendMessage(bot, chatId, `Error: Unknown setting "${name}". Use one of: ${PARAMETER_NAMES.join(', ')}.`);
+				return;
+			}
+			delete parameters[name];
+		} else {
+			const { value, error } = parseParameter(name, match[2]);
+			if (error) {
+				sendMessage(bot, chatId, `Error: ${error}`);
+				return;
+			}
+			parameters[name] = value;
+		}
+		chatSettings.setPreference(userId, 'parameters', Object.keys(parameters).length > 0 ? parameters : undefined);
+		console.log(`User ${userId} set ${name} to ${parameters[name] === undefined ? 'default' : formatParameter(parameters[name])}.`);
+		sendMessage(bot, chatId, parameters[name] === undefined
+			? `${name} reset. The mode's or model's default applies.`
+			: `${name} set to ${formatParameter(parameters[name])}.`);
+	});
+
+	// Mode used by /tr; chats keep their own mode if modes.json has no "translate" mode
+	const TRANSLATE_MODE_ID = 'translate';
+
+	// /tr command: Translates the message it replies to, or the text after it.
+	// Meant for group chats, where the bot only sees messages addressed to it.
+	bot.onText(/^\/tr(?: ([\s\S]+))?$/, (msg, match) => {
+		const chatId = msg.chat.id;
+		if (!isAuthorized(msg.from.id, accessList, chatId)) return;
+
+		const repliedTo = msg.reply_to_message;
+		const text = match[1] || (repliedTo && (repliedTo.text || repliedTo.caption));
+		if (!text || !text.trim()) {
+			sendMessage(bot, chatId, repliedTo
+				? "The message you replied to has no text to translate."
+				: "Usage: reply to a message with /tr to translate it, or send /tr <text>.");
+			return;
+		}
+		processText(chatId, msg.from.id, text, {
+			modeId: TRANSLATE_MODE_ID,
+			replyToMessageId: match[1] || !repliedTo ? msg.message_id : repliedTo.message_id,
+		});
+	});
+
+	// /cancel command: Aborts the user's running request in this chat and drops their queued ones
+	bot.onText(/^\/cancel$/, (msg) => {
+		const chatId = msg.chat.id;
+		if (!isAuthorized(msg.from.id, accessList, chatId)) return;
+
+		const { running, waiting } = requestQueue.cancel(chatId, msg.from.id);
+		if (running + waiting === 0) {
+			sendMessage(bot, chatId, "Nothing to cancel.");
+			return;
+		}
+		console.log(`User ${msg.from.id} cancelled ${running} running and ${waiting} queued requests in chat ${chatId}.`);
+		sendMessage(bot, chatId, `Cancelled ${running} running and ${waiting} queued request(s).`);
+	});
+
+	// /stats command: Shows token usage and cost per model and mode (admins see all users, others their own)
+	bot.onText(/^\/stats(?: (\S+))?$/, (msg, match) => {
+		const chatId = msg.chat.id;
+		if (!isAuthorized(msg.from.id, accessList, chatId)) return;
+
+		const period = match[1] || 'today';
+		if (!['today', 'week', 'month'].includes(period)) {
+			sendMessage(bot, chatId, "Usage: /stats [today|week|month]");
+			return;
+		}
+		const allUsers = isAdmin(msg.from.id, accessList);
+		const { total, byModel, byMode } = usageLog.summarize({
+			since: getPeriodStart(period),
+			userId: allUsers ? undefined : msg.from.id,
+		});
+
+		const formatTotals = (totals) => {
+			const failedText = totals.failed > 0 ? ` (${totals.failed} failed)` : "";
+			return `${totals.requests} requests${failedText}, ${totals.promptTokens} + ${totals.completionTokens} tokens, $${totals.cost.toFixed(4)}, avg ${(totals.latencyMs / 1000).toFixed(1)}s`;
+		};
+		const periodText = { today: "today", week: "the last 7 days", month: "the last 30 days" }[period];
+		let statsText = `Usage ${periodText} (${allUsers ? "all users" : "your requests"}):\n${formatTotals(total)}`;
+		if (total.requests > 0) {
+			statsText += "\n\nBy model:\n";
+			statsText += Object.keys(byModel).map(modelId => `- ${modelId}: ${formatTotals(byModel[modelId])}`).join('\n');
+			statsText += "\n\nBy mode:\n";
+			statsText += Object.keys(byMode).map(modeId => `- ${modeId}: ${formatTotals(byMode[modeId])}`).join('\n');
+		}
+		if (dailyTokenBudget || dailyCostBudget) {
+			const budgets = [dailyTokenBudget ? `${dailyTokenBudget} tokens` : null, dailyCostBudget ? `$${dailyCostBudget.toFixed(2)}` : null].filter(Boolean);
+			statsText += `\n\nDaily budget per user: ${budgets.join(', ')} (admins are exempt).`;
+		}
+		statsText += "\n\nTokens are shown as prompt + completion.";
+
+		sendMessage(bot, chatId, statsText);
+	});
+
+	// /users command (admin only): Lists the access list and pending requests
+	bot.onText(/^\/users$/, (msg) => {
+		const chatId = msg.chat.id;
+		if (!isAdmin(msg.from.id, accessList)) return;
+
+		let usersText = "Access List:\n";
+		accessList.list().forEach(entry => {
+			const kind = entry.id < 0 ? "group" : "user";
+			const label = entry.bootstrap ? " (bootstrap admin)" : (entry.name ? ` (${entry.name})` : "");
+			usersText += `- ${entry.id} [${kind}, ${entry.role}]${label}\n`;
+		});
+		usersText += "\nUse /allow <id> [admin|user] to add or change an entry and /deny <id> to remove one.";
+
+		sendMessage(bot, chatId, usersText);
+	});
+
+	// /allow command (admin only): Adds a user or group chat ID to the access list
+	bot.onText(/^\/allow (-?\d+)(?: (\w+))?$/, (msg, match) => {
+		const chatId = msg.chat.id;
+		if (!isAdmin(msg.from.id, accessList)) return;
+
+		const targetId = parseInt(match[1], 10);
+		const role = match[2] || 'user';
+		if (targetId === authorizedUserId) {
+			sendMessage(bot, chatId, "The bootstrap admin from AUTHORIZED_USER_ID cannot be changed.");
+			return;
+		}
+		if (!accessList.allow(targetId, role, msg.from.id)) {
+			sendMessage(bot, chatId, `Error: Unknown role "${role}". Use one of: ${ROLES.join(', ')}.`);
+			return;
+		}
+
+		console.log(`Admin ${msg.from.id} allowed ${targetId} as ${role}.`);
+		sendMessage(bot, chatId, `Allowed ${targetId} as ${role}.`);
+	});
+
+	// /deny command (admin only): Removes a user or group chat ID from the access list
+	bot.onText(/^\/deny (-?\d+)$/, (msg, match) => {
+		const chatId = msg.chat.id;
+		if (!isAdmin(msg.from.id, accessList)) return;
+
+		const targetId = parseInt(match[1], 10);
+		if (targetId === authorizedUserId) {
+			sendMessage(bot, chatId, "The bootstrap admin from AUTHORIZED_USER_ID cannot be removed.");
+			return;
+		}
+		if (accessList.deny(targetId)) {
+			console.log(`Admin ${msg.from.id} denied ${targetId}.`);
+			sendMessage(bot, chatId, `Removed ${targetId} from the access list.`);
+		} else {
+			sendMessage(bot, chatId, `${targetId} is not on the access list.`);
+		}
+	});
+
+	// Inline keyboard button presses
+	bot.on('callback_query', (query) => {
+		const data = query.data || '';
+
+		if (data.startsWith('access:')) {
+			handleAccessDecision(query);
+			return;
+		}
+		if (data.startsWith('mode:') || data.startsWith('model:')) {
+			handleSelection(query);
+			return;
+		}
+		if (data.startsWith('result:')) {
+			handleResultAction(query);
+			return;
+		}
+
+		bot.answerCallbackQuery(query.id).catch(() => {});
+	});
+
+	/**
+	 * Handles the Approve/Reject buttons of an access request sent to admins.
+	 * @param {object} query - The Telegram callback query.
+	 */
+	const handleAccessDecision = (query) => {
+		const [, decision, rawUserId] = query.data.split(':');
+		const requesterId = parseInt(rawUserId, 10);
+
+		if (!isAdmin(query.from.id, accessList)) {
+			bot.answerCallbackQuery(query.id, { text: "Only admins can handle access requests." }).catch(() => {});
+			return;
+		}
+
+		const request = accessList.getRequest(requesterId);
+		let resultText;
+		if (!request) {
+			resultText = `The request from ${requesterId} was already handled.`;
+		} else if (decision === 'approve') {
+			accessList.allow(requesterId, 'user', query.from.id, request.name);
+			resultText = `Approved ${request.name} (${requesterId}).`;
+			console.log(`Admin ${query.from.id} approved access for ${requesterId}.`);
+			sendMessage(bot, request.chatId, "Your access request was approved. Send /help to see what I can do.");
+		} else {
+			accessList.rejectRequest(requesterId);
+			resultText = `Rejected ${request.name} (${requesterId}).`;
+			console.log(`Admin ${query.from.id} rejected access for ${requesterId}.`);
+			sendMessage(bot, request.chatId, "Your access request was rejected.");
+		}
+
+		bot.answerCallbackQuery(query.id, { text: resultText }).catch(() => {});
+		if (query.message) {
+			// Replace the buttons with the outcome so the request can't be handled twice
+			bot.editMessageText(`${query.message.text}\n\n${resultText}`, {
+				chat_id: query.message.chat.id,
+				message_id: query.message.message_id,
+			}).catch(error => {
+				console.error("Failed to update access request message:", error.message);
+			});
+		}
+	};
+
+	/**
+	 * Handles the mode and model buttons of /mode and /list_models: switches the chat
+	 * and refreshes the keyboard so the new selection is marked.
+	 * @param {object} query - The Telegram callback query.
+	 */
+	const handleSelection = async (query) => {
+		if (!query.message) {
+			bot.answerCallbackQuery(query.id).catch(() => {});
+			return;
+		}
+		const chatId = query.message.chat.id;
+		if (!isAuthorized(query.from.id, accessList, chatId)) {
+			bot.answerCallbackQuery(query.id, { text: "You are not authorized to use this bot." }).catch(() => {});
+			return;
+		}
+		if (isGroupChat(query.message.chat) && !(await isGroupAdmin(query.message.chat, query.from.id))) {
+			bot.answerCallbackQuery(query.id, { text: GROUP_SETTINGS_DENIED_TEXT }).catch(() => {});
+			return;
+		}
+
+		const [kind, value] = query.data.split(':');
+		let answerText;
+		let replyMarkup;
+		if (kind === 'mode') {
+			const mode = getMode(value);
+			if (!mode) {
+				bot.answerCallbackQuery(query.id, { text: "This mode no longer exists." }).catch(() => {});
+				return;
+			}
+			answerText = switchMode(chatId, query.from.id, mode);
+			replyMarkup = buildModeKeyboard(availableModes, getChatSettings(chatId).mode);
+		} else {
+			const model = availableModels[parseInt(value, 10)];
+			if (!model) {
+				bot.answerCallbackQuery(query.id, { text: "This model no longer exists." }).catch(() => {});
+				return;
+			}
+			chatSettings.set(chatId, { modelId: model.id });
+			console.log(`User ${query.from.id} switched model to: ${model.id} (chat ${chatId})`);
+			answerText = `Switched model to: ${model.id}`;
+			replyMarkup = buildModelKeyboard(availableModels, model.id);
+		}
+
+		bot.answerCallbackQuery(query.id, { text: answerText }).catch(() => {});
+		bot.editMessageReplyMarkup(replyMarkup, {
 			chat_id: chatId,
-			message_id: ackMsg.message_id,
-			// No parse_mode here for plain text
-			disable_web_page_preview: true
-		}).catch(editError => {
-			// If editing fails (e.g., message too old), send a new message
-			console.error("Failed to edit message:", editError.message);
-			sendMessage(bot, chatId, aiResponse || "Sorry, an error occurred processing your request."); // Use helper
+			message_id: query.message.message_id,
+		}).catch(error => {
+			// "message is not modified" when the selection didn't change
+			console.warn("Failed to refresh selection keyboard:", error.message);
 		});
-	} else {
-		// Fallback if sending/editing the acknowledgment failed
-		sendMessage(bot, chatId, aiResponse || "Sorry, an error occurred processing your request."); // Use helper
-	}
-});
-
-// Optional: Handle polling errors
-bot.on('polling_error', (error) => {
-	console.error(`Polling error: ${error.code} - ${error.message}. Timestamp: ${new Date().toISOString()}`);
-	if (error.message.includes('ETIMEDOUT') || error.message.includes('ECONNRESET')) {
-		console.warn('Network-related polling error. The bot will attempt to continue polling.');
-	} else if (error.code === 'EFATAL') {
-		console.error('Fatal polling error occurred. Stopping the bot.');
-		process.exit(1);
+	};
+
+	/**
+	 * Formats one of several commit message options for display.
+	 * @param {Array<string>} commitMessages - The rendered commit messages, best first.
+	 * @param {number} index - The option to show.
+	 * @returns {string} - The text, in Markdown.
+	 */
+	const formatCommitOption = (commitMessages, index) => {
+		const heading = commitMessages.length > 1 ? `Option ${index + 1} of ${commitMessages.length}:\n` : '';
+		return `${heading}\`\`\`\n${commitMessages[index]}\n\`\`\``;
+	};
+
+	/**
+	 * Handles the action buttons on result messages: Regenerate, Try another model
+	 * (and the model chosen from its list), Switch to commit mode and redo, and the
+	 * Option buttons that switch between alternative commit messages.
+	 * @param {object} query - The Telegram callback query.
+	 */
+	const handleResultAction = async (query) => {
+		if (!query.message) {
+			bot.answerCallbackQuery(query.id).catch(() => {});
+			return;
+		}
+		const chatId = query.message.chat.id;
+		const messageId = query.message.message_id;
+		if (!isAuthorized(query.from.id, accessList, chatId)) {
+			bot.answerCallbackQuery(query.id, { text: "You are not authorized to use this bot." }).catch(() => {});
+			return;
+		}
+
+		const context = resultContexts.get(`${chatId}:${messageId}`);
+		if (!context) {
+			bot.answerCallbackQuery(query.id, { text: "This result is too old. Please send the text again." }).catch(() => {});
+			return;
+		}
+
+		const [, action, value] = query.data.split(':');
+		const setButtons = (replyMarkup) => bot.editMessageReplyMarkup(replyMarkup, {
+			chat_id: chatId,
+			message_id: messageId,
+		}).catch(error => {
+			console.warn("Failed to update result buttons:", error.message);
+		});
+
+		if (action === 'models') {
+			bot.answerCallbackQuery(query.id).catch(() => {});
+			setButtons(buildRetryModelKeyboard(availableModels, context.answeredModelId));
+			return;
+		}
+		if (action === 'back') {
+			bot.answerCallbackQuery(query.id).catch(() => {});
+			setButtons(context.replyMarkup);
+			return;
+		}
+		if (action === 'reasoning') {
+			if (!context.reasoning) {
+				bot.answerCallbackQuery(query.id, { text: "No reasoning is available for this result." }).catch(() => {});
+				return;
+			}
+			bot.answerCallbackQuery(query.id).catch(() => {});
+			sendMessage(bot, chatId, `Reasoning:\n\n${context.reasoning}`, { reply_to_message_id: messageId });
+			return;
+		}
+		if (action === 'option') {
+			const index = parseInt(value, 10);
+			if (!context.commitMessages || !context.commitMessages[index]) {
+				bot.answerCallbackQuery(query.id, { text: "This option is no longer available." }).catch(() => {});
+				return;
+			}
+			bot.answerCallbackQuery(query.id).catch(() => {});
+			context.replyMarkup = buildResultKeyboard({
+				offerCommitRedo: context.modeId !== 'commit' && Boolean(getMode('commit')),
+				optionCount: context.commitMessages.length,
+				selectedOption: index,
+				offerReasoning: Boolean(context.reasoning),
+			});
+			sendFormattedResponse(bot, chatId, `${formatCommitOption(context.commitMessages, index)}${context.note}`, {
+				format: outputFormat,
+				editMessageId: messageId,
+				replyMarkup: context.replyMarkup,
+			});
+			return;
+		}
+
+		let overrides;
+		if (action === 'regenerate') {
+			overrides = { modeId: context.modeId, modelId: context.modelId, regenerate: true };
+		} else if (action === 'model') {
+			const model = availableModels[parseInt(value, 10)];
+			if (!model) {
+				bot.answerCallbackQuery(query.id, { text: "This model no longer exists." }).catch(() => {});
+				return;
+			}
+			setButtons(context.replyMarkup);
+			overrides = { modeId: context.modeId, modelId: model.id, regenerate: true };
+		} else if (action === 'redo' && getMode(value)) {
+			// In groups, members who can't change the mode get the redo without switching it
+			if (!isGroupChat(query.message.chat) || await isGroupAdmin(query.message.chat, query.from.id)) {
+				switchMode(chatId, query.from.id, getMode(value));
+			}
+			overrides = { modeId: value };
+		} else {
+			bot.answerCallbackQuery(query.id).catch(() => {});
+			return;
+		}
+
+		bot.answerCallbackQuery(query.id, { text: "Working on it..." }).catch(() => {});
+		processText(chatId, query.from.id, context.inputText, { ...overrides, image: context.image });
+	};
+
+	/**
+	 * Shortens text to a single line for lists such as /history and /recent.
+	 * @param {string} text - The text.
+	 * @param {number} [maxLength=80] - Maximum length of the preview.
+	 * @returns {string} - The preview.
+	 */
+	const preview = (text, maxLength = 80) => {
+		const singleLine = text.replace(/\s+/g, ' ').trim();
+		return singleLine.length > maxLength ? `${singleLine.slice(0, maxLength - 3)}...` : singleLine;
+	};
+
+	/**
+	 * Builds a readable name for a Telegram user, e.g. "Jane Doe (@jane)".
+	 * @param {object} user - The Telegram user object.
+	 * @returns {string} - The display name.
+	 */
+	const formatUserName = (user) => {
+		const fullName = [user.first_name, user.last_name].filter(Boolean).join(' ') || `User ${user.id}`;
+		return user.username ? `${fullName} (@${user.username})` : fullName;
+	};
+
+	// --- Inline Queries (@bot some text) ---
+	const inlineModes = inlineModeIds.map(getMode).filter(Boolean);
+	const inlineResultCache = createTtlCache({ ttlMs: inlineCacheTtlMs });
+	const pendingInlineQueries = new Map(); // userId -> debounce timer
+
+	/**
+	 * Translates text with one mode for an inline query, reusing recent results.
+	 * Uses the user's own (private chat) model, language and generation settings.
+	 * @param {number} userId - The user who sent the inline query.
+	 * @param {object} mode - The mode definition.
+	 * @param {string} text - The query text.
+	 * @returns {Promise<Array<string>|null>} - The translation (or each commit message option), or null if the request failed.
+	 */
+	const getInlineResult = async (userId, mode, text) => {
+		const { modelId } = getChatSettings(userId);
+		const { sourceLang, targetLang } = getChatLanguages(userId, mode);
+		const glossaryEntries = glossary.findMatches(userId, text);
+		const parameters = getUserParameters(userId);
+		const cacheKey = JSON.stringify([mode.id, modelId, sourceLang, targetLang, text, glossaryEntries, parameters]);
+		const cached = inlineResultCache.get(cacheKey);
+		if (cached !== undefined) {
+			return cached;
+		}
+
+		const renderedMode = renderMode(mode, getLanguageVariables(sourceLang, targetLang));
+		const apiOptions = {
+			timeoutMs: inlineTimeoutMs,
+			maxRetries: 0, // No time for retries or fallbacks before the query expires
+			onRequest: trackUsage(userId, null),
+			glossary: glossaryEntries,
+			parameters,
+		};
+		const result = mode.output === 'conventional_commit'
+			? await requestCommitMessages(text, renderedMode, getModel(modelId), { ...apiOptions, maxAttempts: 1 })
+			: await callChatAPI(text, renderedMode, getModel(modelId), [], apiOptions);
+		if (!result.ok) {
+			return null;
+		}
+		const outputs = result.commits ? result.commits.map(formatCommitMessage) : [result.content];
+		inlineResultCache.set(cacheKey, outputs);
+		return outputs;
+	};
+
+	/**
+	 * Answers an inline query with one article per inline mode (one per option for commit messages).
+	 * @param {object} query - The Telegram inline query.
+	 */
+	const answerInlineQuery = async (query) => {
+		const text = query.query.trim();
+		if (getBudgetExceededMessage(query.from.id) || !rateLimiter.take(query.from.id).allowed) {
+			bot.answerInlineQuery(query.id, [], { cache_time: 0, is_personal: true }).catch(() => {});
+			return;
+		}
+		const outputs = await Promise.all(inlineModes.map(mode => getInlineResult(query.from.id, mode, text)));
+
+		const results = [];
+		inlineModes.forEach((mode, index) => {
+			(outputs[index] || []).forEach((output, optionIndex, modeOutputs) => {
+				results.push({
+					type: 'article',
+					id: `${mode.id}-${optionIndex}-${query.id}`.slice(0, 64),
+					title: modeOutputs.length > 1 ? `${mode.label} (option ${optionIndex + 1})` : mode.label,
+					description: output.slice(0, 100),
+					input_message_content: { message_text: output, disable_web_page_preview: true },
+				});
+			});
+		});
+
+		bot.answerInlineQuery(query.id, results, { cache_time: 0, is_personal: true }).catch(error => {
+			// Usually "query is too old" when the user kept typing or the API was slow
+			console.warn(`Failed to answer inline query from ${query.from.id}:`, error.message);
+		});
+	};
+
+	bot.on('inline_query', (query) => {
+		// Inline queries have no chat, so only the user's own access counts
+		if (!isAuthorized(query.from.id, accessList)) {
+			bot.answerInlineQuery(query.id, [], { cache_time: 60, is_personal: true }).catch(() => {});
+			return;
+		}
+
+		// Telegram sends a query per keystroke; only handle the last one once typing pauses
+		clearTimeout(pendingInlineQueries.get(query.from.id));
+		if (!query.query.trim() || inlineModes.length === 0) {
+			pendingInlineQueries.delete(query.from.id);
+			return;
+		}
+		pendingInlineQueries.set(query.from.id, setTimeout(() => {
+			pendingInlineQueries.delete(query.from.id);
+			console.log(`Processing inline query from user ${query.from.id}: "${query.query}"`);
+			metrics.track(answerInlineQuery(query));
+		}, inlineDebounceMs));
+	});
+
+
+	// Handle regular text messages
+	bot.on('message', async (msg) => {
+		const chatId = msg.chat.id;
+		const userId = msg.from.id;
+
+		// 1. Check authorization FIRST
+		if (!isAuthorized(userId, accessList, chatId)) {
+			// Silently ignore messages from unauthorized users (except /start)
+			return;
+		}
+
+		// In groups, answers reply to the message that asked, so it's clear whom they're for
+		const replyToMessageId = isGroupChat(msg.chat) ? msg.message_id : undefined;
+
+		// 2. Photos go to vision models and text documents are processed like text; ignore anything else
+		if (msg.photo || isImageDocument(msg.document)) {
+			const image = msg.photo
+				? { fileId: msg.photo[msg.photo.length - 1].file_id, mimeType: 'image/jpeg' } // Last size is the largest
+				: { fileId: msg.document.file_id, mimeType: msg.document.mime_type };
+			await processText(chatId, userId, msg.caption || IMAGE_INPUT_TEXT, { image, replyToMessageId });
+			return;
+		}
+		if (msg.document) {
+			await processDocument(msg);
+			return;
+		}
+		if (!msg.text) {
+			return;
+		}
+
+		// 3. Ignore messages that are exact commands handled by onText
+		// This prevents processing commands like '/help' as text input.
+		// Add new commands here as they are implemented.
+		const commands = ['/start', '/help', '/modes', '/mode', '/list_models', '/lang', '/reset', '/history', '/undo', '/cancel', '/recent', '/export', '/stats', '/glossary', '/settings', '/tr', '/users',
+			...availableModes.map(mode => `/${mode.command}`)];
+		const commandsWithArguments = ['/set_model ', '/lang ', '/recent ', '/search ', '/export ', '/stats ', '/glossary ', '/settings ', '/tr ', '/allow ', '/deny '];
+	    // Check if the message exactly matches a command or starts with a command that requires an argument
+		if (commands.includes(msg.text) || commandsWithArguments.some(command => msg.text.startsWith(command))) {
+			// Message is a known command, handled by its specific onText handler. Do nothing here.
+			return;
+		}
+
+		// 4. Process the text message using the imported API function
+		await processText(chatId, userId, msg.text, { replyToMessageId });
+	});
+
+	// Input text for photos sent without a caption
+	const IMAGE_INPUT_TEXT = "The input is the text shown in the attached image.";
+	// Documents read as text input (anything else must have a text/* MIME type)
+	const TEXT_DOCUMENT_EXTENSIONS = ['.txt', '.md', '.diff', '.patch'];
+
+	/**
+	 * Checks whether a document is an image (e.g. a screenshot sent uncompressed as a file).
+	 * @param {object} [document] - The Telegram document.
+	 * @returns {boolean} - True for image documents.
+	 */
+	const isImageDocument = (document) => Boolean(document && document.mime_type && document.mime_type.startsWith('image/'));
+
+	/**
+	 * Reads a text document (.txt, .md, .diff, .patch) and processes its content with
+	 * the current mode. The caption, if any, is put in front of the content.
+	 * @param {object} msg - The Telegram message with the document.
+	 */
+	const processDocument = async (msg) => {
+		const chatId = msg.chat.id;
+		const fileName = msg.document.file_name || 'document';
+		const extension = path.extname(fileName).toLowerCase();
+		const mimeType = msg.document.mime_type || '';
+		if (!TEXT_DOCUMENT_EXTENSIONS.includes(extension) && !mimeType.startsWith('text/')) {
+			sendMessage(bot, chatId, `Sorry, I can only read text documents (${TEXT_DOCUMENT_EXTENSIONS.join(', ')}) and images.`);
+			return;
+		}
+
+		let content;
+		try {
+			content = (await downloadTelegramFile(bot, msg.document.file_id, documentMaxBytes)).toString('utf-8');
+		} catch (error) {
+			console.error(`Failed to download document ${fileName}:`, error.message);
+			sendMessage(bot, chatId, `Sorry, I couldn't read ${fileName}. ${error.message}`);
+			return;
+		}
+		if (content.includes('\u0000')) {
+			sendMessage(bot, chatId, `Sorry, ${fileName} doesn't look like a text file.`);
+			return;
+		}
+
+		console.log(`Read document ${fileName} (${content.length} characters) from user ${msg.from.id}.`);
+		await processText(chatId, msg.from.id, msg.caption ? `${msg.caption}\n\n${content}` : content, {
+			replyToMessageId: isGroupChat(msg.chat) ? msg.message_id : undefined,
+		});
+	};
+
+	/**
+	 * Runs a queued request: calls the API and replaces the acknowledgment message
+	 * with the result and its action buttons. Called by processText once the request
+	 * reaches the front of the chat's queue.
+	 * @param {object} request - What to process, as resolved by processText: chatId, userId, inputText,
+	 *   options, currentMode, currentModelId, currentModel and the rendered modeDefinition.
+	 * @param {object|null} ackMsg - The acknowledgment message to replace, if it could be sent.
+	 * @param {AbortSignal} signal - Aborted by /cancel.
+	 */
+	const runTextRequest = async (request, ackMsg, signal) => {
+		const { chatId, userId, inputText, options, currentMode, currentModelId, currentModel, modeDefinition } = request;
+
+		// Download the image and pass it inline as a data URL, so the provider doesn't need the bot token
+		const images = [];
+		if (options.image) {
+			try {
+				const imageContent = await downloadTelegramFile(bot, options.image.fileId, imageMaxBytes);
+				images.push(`data:${options.image.mimeType};base64,${imageContent.toString('base64')}`);
+			} catch (error) {
+				console.error("Failed to download image:", error.message);
+				const errorText = `Sorry, I couldn't download the image. ${error.message}`;
+				if (ackMsg && ackMsg.message_id) {
+					bot.editMessageText(errorText, { chat_id: chatId, message_id: ackMsg.message_id })
+						.catch(() => sendMessage(bot, chatId, errorText));
+				} else {
+					sendMessage(bot, chatId, errorText);
+				}
+				return;
+			}
+		}
+		// History only keeps text; mark exchanges that were about an image
+		const historyUserText = options.image ? `[Image] ${inputText.trim()}` : inputText.trim();
+
+		// A regenerated answer replaces the previous exchange about the same text
+		if (modeDefinition.history && options.regenerate) {
+			const turns = chatHistory.getTurns(chatId);
+			if (turns.length > 0 && turns[turns.length - 1].user === historyUserText) {
+				chatHistory.undo(chatId);
+			}
+		}
+
+		// Only conversational modes (e.g. chat) use history; translation modes treat every message on its own
+		const history = modeDefinition.history ? chatHistory.getMessages(chatId) : [];
+
+		// Stream the response into the acknowledgment message as it is generated.
+		// Structured commit replies are JSON, which is not worth showing while it arrives.
+		const structuredCommit = modeDefinition.output === 'conventional_commit';
+		let streamEditor = null;
+		if (streamResponses && !structuredCommit && ackMsg && ackMsg.message_id) {
+			streamEditor = createThrottledEditor(bot, chatId, ackMsg.message_id, streamEditIntervalMs);
+		}
+		// The chat's glossary entries that occur in the input are added to the system prompt
+		const glossaryEntries = glossary.findMatches(chatId, inputText);
+		const apiOptions = {
+			onProgress: streamEditor ? (text) => streamEditor.update(`${text} …`) : undefined,
+			images,
+			// Image requests can only fall back to other vision models
+			fallbackModels: getFallbackModels(currentModel).filter(model => images.length === 0 || model.vision),
+			timeoutMs: apiTimeoutMs,
+			maxRetries: apiMaxRetries,
+			retryBaseDelayMs: apiRetryBaseDelayMs,
+			onRequest: trackUsage(userId, chatId),
+			signal,
+			glossary: glossaryEntries,
+			parameters: getUserParameters(userId),
+		};
+		const result = structuredCommit
+			? await requestCommitMessages(inputText, modeDefinition, currentModel, apiOptions)
+			: await callChatAPI(inputText, modeDefinition, currentModel, history, apiOptions);
+		if (streamEditor) {
+			// Let any progressive edit finish so it can't overwrite the final one
+			await streamEditor.stop();
+		}
+		if (result.cancelled && !result.interrupted) {
+			if (ackMsg && ackMsg.message_id) {
+				bot.editMessageText("Request cancelled.", { chat_id: chatId, message_id: ackMsg.message_id }).catch(() => {});
+			}
+			return;
+		}
+		let aiResponse = result.content;
+
+		// Show the best commit message; the others are offered as Option buttons
+		const commitMessages = result.ok && result.commits ? result.commits.map(formatCommitMessage) : null;
+		if (commitMessages) {
+			aiResponse = formatCommitOption(commitMessages, 0);
+		}
+
+		// Remember successful chat exchanges so follow-up questions have context
+		if (modeDefinition.history && result.ok) {
+			chatHistory.addTurn(chatId, historyUserText, aiResponse);
+		}
+		// Archive every successful result for /recent, /search and /export
+		if (result.ok) {
+			translationArchive.add({
+				chatId,
+				userId,
+				modeId: currentMode,
+				modelId: result.modelId,
+				input: historyUserText,
+				output: commitMessages ? commitMessages[0] : aiResponse,
+			});
+		}
+
+		// Say so when a fallback model answered instead of the selected one
+		let note = result.ok && result.modelId !== currentModelId
+			? `\n\n(Answered by ${result.modelId} because ${result.failedModelIds.join(', ')} failed.)`
+			: '';
+		// Flag glossary terms the model didn't translate as required. Conversational answers
+		// aren't translations of the input, so they aren't checked.
+		const missingTerms = result.ok && !modeDefinition.history ? findMissingTerms(glossaryEntries, aiResponse) : [];
+		if (missingTerms.length > 0) {
+			const termList = missingTerms.map(entry => `"${entry.source}" -> "${entry.target}"`).join(', ');
+			note += `\n\n(Glossary check: not translated as specified: ${termList}.)`;
+		}
+		aiResponse += note;
+
+		// The model's thinking is kept out of the answer, and only offered in modes that show it
+		const reasoning = result.ok && modeDefinition.showReasoning ? result.reasoning || '' : '';
+
+		// Action buttons under the result; remember what produced it so they can redo it
+		const replyMarkup = buildResultKeyboard({
+			offerCommitRedo: currentMode !== 'commit' && Boolean(getMode('commit')),
+			optionCount: commitMessages ? commitMessages.length : 1,
+			offerReasoning: Boolean(reasoning),
+		});
+		const rememberResult = (resultMsg) => {
+			if (!resultMsg || !resultMsg.message_id) {
+				return;
+			}
+			resultContexts.set(`${chatId}:${resultMsg.message_id}`, {
+				inputText,
+				image: options.image,
+				modeId: currentMode,
+				modelId: currentModelId,
+				answeredModelId: result.modelId,
+				commitMessages,
+				note,
+				reasoning,
+				replyMarkup,
+			});
+			if (resultContexts.size > MAX_RESULT_CONTEXTS) {
+				resultContexts.delete(resultContexts.keys().next().value);
+			}
+		};
+
+		// Replace the acknowledgment message with the result or error (a new message is sent if that fails).
+		// Answers are rendered from Markdown; error messages are sent as plain text.
+		const resultMsg = await sendFormattedResponse(bot, chatId, aiResponse || "Sorry, an error occurred and no response was generated.", {
+			format: result.ok ? outputFormat : 'plain',
+			editMessageId: ackMsg && ackMsg.message_id,
+			replyMarkup,
+			fileThreshold: outputFileThreshold,
+			fileName: `${currentMode}-response.md`,
+		});
+		rememberResult(resultMsg);
+	};
+
+	/**
+	 * Runs text through a mode and model and shows the result, with action buttons,
+	 * in place of a "Processing..." message. Requests are rate-limited per user and
+	 * queued per chat; while queued, the message shows the queue position.
+	 * @param {number} chatId - The chat ID.
+	 * @param {number} userId - The user who sent the text.
+	 * @param {string} inputText - The text to process.
+	 * @param {object} [options={}]
+	 * @param {string} [options.modeId] - Use this mode instead of the chat's mode.
+	 * @param {string} [options.modelId] - Use this model instead of the chat's model.
+	 * @param {{fileId: string, mimeType: string}} [options.image] - A Telegram image to send along (vision models only).
+	 * @param {boolean} [options.regenerate=false] - The text was processed before; in conversational
+	 *   modes the previous exchange is replaced instead of kept.
+	 * @param {number} [options.replyToMessageId] - Send the "Processing..." message (which becomes the result) as a reply to this message.
+	 */
+	const processText = async (chatId, userId, inputText, options = {}) => {
+		const chatSettingsNow = getChatSettings(chatId);
+		const currentMode = getMode(options.modeId) ? options.modeId : chatSettingsNow.mode;
+		const currentModelId = getModel(options.modelId) ? options.modelId : chatSettingsNow.modelId;
+		const currentModel = getModel(currentModelId);
+
+		const rateLimit = rateLimiter.take(userId);
+		if (!rateLimit.allowed) {
+			sendMessage(bot, chatId, `You're sending requests too quickly. Please try again in ${Math.ceil(rateLimit.retryAfterMs / 1000)} seconds.`);
+			return;
+		}
+
+		const budgetMessage = getBudgetExceededMessage(userId);
+		if (budgetMessage) {
+			sendMessage(bot, chatId, budgetMessage);
+			return;
+		}
+
+		if (options.image && !currentModel.vision) {
+			const visionModels = availableModels.filter(model => model.vision).map(model => model.id);
+			sendMessage(bot, chatId, visionModels.length > 0
+				? `Sorry, the current model (${currentModelId}) can't read images. Switch to a vision model with /list_models: ${visionModels.join(', ')}`
+				: `Sorry, the current model (${currentModelId}) can't read images, and no model in models.json is marked with "vision": true.`);
+			return;
+		}
+
+		// Fill in the chat's languages in the mode's prompts
+		const { sourceLang, targetLang } = getChatLanguages(chatId, getMode(currentMode));
+		const modeDefinition = renderMode(getMode(currentMode), getLanguageVariables(sourceLang, targetLang));
+		console.log(`Processing text from user ${userId} in ${currentMode} mode with model ${currentModelId}: "${inputText}"`);
+
+		// Queue behind the chat's earlier requests. The job is enqueued right away so requests keep
+		// their order, but waits for the acknowledgment message, which shows the queue position.
+		const processingText = `Processing in ${currentMode} mode with ${currentModelId}...`;
+		let resolveAck;
+		const ackSent = new Promise(resolve => { resolveAck = resolve; });
+		const editAck = (text) => ackSent.then(ackMsg => ackMsg && bot.editMessageText(text, { chat_id: chatId, message_id: ackMsg.message_id }))
+			.catch(error => console.warn("Failed to update acknowledgment message:", error.message));
+		const { position, done } = requestQueue.enqueue(chatId, async (signal) => {
+			const ackMsg = await ackSent;
+			if (position > 0) {
+				await editAck(processingText);
+			}
+			await runTextRequest({ chatId, userId, inputText, options, currentMode, currentModelId, currentModel, modeDefinition }, ackMsg, signal);
+		}, {
+			ownerId: userId,
+			onPositionChange: (newPosition) => editAck(`Queued (position ${newPosition}) for ${currentMode} mode with ${currentModelId}...`),
+			onCancel: () => editAck("Request cancelled."),
+		});
+		metrics.track(done); // Shutdown waits for queued and running requests
+
+		// Send processing message and store it for editing
+		let ackMsg = null;
+		try {
+			ackMsg = await bot.sendMessage(chatId, position > 0
+				? `Queued (position ${position}) for ${currentMode} mode with ${currentModelId}...`
+				: processingText,
+			options.replyToMessageId ? { reply_to_message_id: options.replyToMessageId, allow_sending_without_reply: true } : {});
+		} catch (sendError) {
+			console.error("Failed to send acknowledgment message:", sendError.message);
+			// If we can't even send the ack, just proceed without editing later
+		}
+		resolveAck(ackMsg);
+		await done;
+	};
+
+	// --- HTTP Server (webhook, /healthz and /metrics) ---
+	let httpServer = null;
+
+	/**
+	 * Starts receiving updates: polls Telegram, or in webhook mode starts the HTTP
+	 * server and registers the webhook. The HTTP server also runs in polling mode if
+	 * an HTTP port is configured.
+	 * @returns {Promise<void>} - Resolves once the bot is receiving updates.
+	 * @throws {Error} - If the HTTP server can't listen or the webhook can't be set.
+	 */
+	const start = async () => {
+		console.log(`Bot started in ${updateMode} mode. Bootstrap admin User ID: ${authorizedUserId}`);
+		console.log(`Access list file: ${accessFilePath}`);
+		console.log(`Usage log file: ${usageFilePath}`);
+		console.log(`Translation archive file: ${archiveFilePath}`);
+		console.log(`Default mode: ${defaultMode}`);
+		console.log(`Default model ID: ${initialModelId}`);
+		console.log(`Settings file: ${stateFilePath}`);
+		console.log(`Current time: ${new Date().toLocaleString('en-US', { timeZone: 'Asia/Taipei' })} (Taiwan Time)`);
+
+		if (httpPort) {
+			httpServer = createHttpServer({
+				metrics,
+				isShuttingDown: () => shuttingDown,
+				webhookPath: updateMode === 'webhook' ? new URL(webhookUrl).pathname : undefined,
+				secretToken: webhookSecret,
+				onUpdate: (update) => {
+					metrics.recordUpdate();
+					bot.processUpdate(update);
+				},
+			});
+			await new Promise((resolve, reject) => {
+				httpServer.once('error', reject);
+				httpServer.listen(httpPort, httpHost, resolve);
+			});
+			console.log(`HTTP server listening on ${httpHost}:${httpPort} (/healthz, /metrics${updateMode === 'webhook' ? `, webhook at ${new URL(webhookUrl).pathname}` : ''}).`);
+		}
+
+		if (updateMode === 'webhook') {
+			await bot.setWebHook(webhookUrl, { secret_token: webhookSecret });
+			console.log(`Webhook set to ${webhookUrl}.`);
+		} else {
+			// Polls in the background; failures are reported as 'polling_error' events
+			bot.startPolling();
+		}
+	};
+
+	/**
+	 * Gracefully stops the bot: stops taking updates, lets in-flight requests finish
+	 * (up to shutdownTimeoutMs), writes pending log lines, then closes the HTTP server.
+	 * @returns {Promise<boolean>} - True if all in-flight requests finished in time.
+	 */
+	const stop = async () => {
+		shuttingDown = true;
+		pendingInlineQueries.forEach(timer => clearTimeout(timer));
+		pendingInlineQueries.clear();
+
+		if (bot.isPolling()) {
+			try {
+				await bot.stopPolling({ cancel: true });
+				console.log("Bot stopped polling gracefully.");
+			} catch (err) {
+				console.error("Error stopping polling:", err);
+			}
+		}
+
+		if (metrics.inFlight > 0) {
+			console.log(`Waiting up to ${shutdownTimeoutMs}ms for ${metrics.inFlight} in-flight request(s)...`);
+		}
+		const drained = await metrics.drain(shutdownTimeoutMs);
+		if (!drained) {
+			console.warn(`${metrics.inFlight} request(s) still in flight after ${shutdownTimeoutMs}ms; stopping anyway.`);
+		}
+		await flushJsonLines(); // Usage and archive records of the finished requests
+
+		if (httpServer) {
+			await new Promise(resolve => {
+				httpServer.close(resolve);
+				httpServer.closeIdleConnections();
+			});
+		}
+		return drained;
+	};
+
+	return { bot, metrics, start, stop };
+};
+
+// --- Entry Point (node bot.js) ---
+if (require.main === module) {
+	require('dotenv').config(); // Load environment variables from .env file
+
+	let app;
+	try {
+		app = createBot(loadConfig(process.env));
+	} catch (error) {
+		console.error(`Error: ${error.message}`);
+		process.exit(1); // Exit if essential config is missing
 	}
-});
-
-// Graceful shutdown
-const shutdown = (signal) => {
-	console.log(`${signal} received. Shutting down bot...`);
-	bot.stopPolling({ cancel: true }).then(() => {
-		console.log("Bot stopped polling gracefully.");
-		process.exit(0);
-	}).catch(err => {
-		console.error("Error stopping polling:", err);
+
+	// Optional: Handle polling errors
+	app.bot.on('polling_error', (error) => {
+		console.error(`Polling error: ${error.code} - ${error.message}. Timestamp: ${new Date().toISOString()}`);
+		if (error.message.includes('ETIMEDOUT') || error.message.includes('ECONNRESET')) {
+			console.warn('Network-related polling error. The bot will attempt to continue polling.');
+		} else if (error.code === 'EFATAL') {
+			console.error('Fatal polling error occurred. Stopping the bot.');
+			process.exit(1);
+		}
+	});
+
+	app.start().catch(error => {
+		console.error(`Error: Failed to start the bot: ${error.message}`);
 		process.exit(1);
 	});
-};
 
-process.on('SIGINT', () => shutdown('SIGINT')); // Ctrl+C
-process.on('SIGTERM', () => shutdown('SIGTERM')); // Termination signal 
\ No newline at end of file
+	// Graceful shutdown: stop taking updates, let in-flight requests finish, then exit.
+	// A second signal exits right away.
+	let stopping = false;
+	const shutdown = async (signal) => {
+		if (stopping) {
+			console.warn(`${signal} received again. Exiting without waiting for in-flight requests.`);
+			process.exit(1);
+		}
+		stopping = true;
+		console.log(`${signal} received. Shutting down bot...`);
+		const drained = await app.stop();
+		process.exit(drained ? 0 : 1);
+	};
+
+	process.on('SIGINT', () => shutdown('SIGINT')); // Ctrl+C
+	process.on('SIGTERM', () => shutdown('SIGTERM')); // Termination signal
+}
+
+module.exports = {
+	createBot,
+};
@@ -0,0 +1,214 @@
+const { callChatAPI } = require('./apiv2');
+
+/**
+ * Structured commit messages for modes with "output": "conventional_commit".
+ * The model is asked for JSON (see the commit mode's system prompt in modes.json),
+ * which is validated against the Conventional Commits rules and rendered here, so
+ * the header format, body wrapping and BREAKING CHANGE footer don't depend on the
+ * model getting them right. Invalid replies are sent back to the model with the
+ * problems listed.
+ */
+
+const COMMIT_TYPES = ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore', 'revert'];
+const MAX_HEADER_LENGTH = 72;
+const BODY_WRAP_WIDTH = 72;
+const MAX_OPTIONS = 3;
+const DEFAULT_MAX_ATTEMPTS = 3; // The first request plus two re-prompts
+
+/**
+ * Builds the header line of a commit, e.g. "feat(auth)!: add token refresh".
+ * @param {object} commit - A validated commit.
+ * @returns {string} - The header.
+ */
+const formatHeader = (commit) => `${commit.type}${commit.scope ? `(${commit.scope})` : ''}${commit.breaking ? '!' : ''}: ${commit.subject}`;
+
+/**
+ * Wraps text at word boundaries. Existing line breaks are kept, and list items
+ * ("- ", "* ", "1. ") get a hanging indent.
+ * @param {string} text - The text.
+ * @param {number} [width=BODY_WRAP_WIDTH] - Maximum line length (longer words stay on their own line).
+ * @returns {string} - The wrapped text.
+ */
+const wrapText = (text, width = BODY_WRAP_WIDTH) => text.split('\n').map(line => {
+	const bullet = line.match(/^\s*(?:[-*]|\d+\.)\s+/);
+	const prefix = bullet ? `${bullet[0].trim()} ` : '';
+	const indent = ' '.repeat(prefix.length);
+	const words = line.slice(bullet ? bullet[0].length : 0).trim().split(/\s+/).filter(Boolean);
+
+	const lines = [];
+	let current = '';
+	words.forEach(word => {
+		if (current && prefix.length + current.length + 1 + word.length > width) {
+			lines.push(current);
+			current = word;
+		} else {
+			current = current ? `${current} ${word}` : word;
+		}
+	});
+	lines.push(current);
+	return lines.map((wrapped, index) => `${index === 0 ? prefix : indent}${wrapped}`).join('\n');
+}).join('\n');
+
+/**
+ * Renders a validated commit as a full commit message: header, wrapped body and
+ * the BREAKING CHANGE footer, separated by blank lines.
+ * @param {object} commit - A validated commit.
+ * @returns {string} - The commit message.
+ */
+const formatCommitMessage = (commit) => {
+	const sections = [formatHeader(commit)];
+	if (commit.body) {
+		sections.push(wrapText(commit.body));
+	}
+	if (commit.breaking) {
+		sections.push(wrapText(`BREAKING CHANGE: ${commit.breaking}`));
+	}
+	return sections.join('\n\n');
+};
+
+/**
+ * Normalizes one commit option from the model and checks it against the rules.
+ * @param {object} option - The option as parsed from the model's JSON.
+ * @returns {{commit: object|null, problems: Array<string>}} - The commit if valid, otherwise the problems.
+ */
+const validateCommit = (option) => {
+	if (!option || typeof option !== 'object') {
+		return { commit: null, problems: ['not an object'] };
+	}
+	const text = (value) => (typeof value === 'string' ? value.trim() : '');
+	const commit = {
+		type: text(option.type).toLowerCase(),
+		scope: text(option.scope),
+		subject: text(option.subject).replace(/\.+$/, ''),
+		body: text(option.body),
+		breaking: text(option.breaking),
+	};
+
+	const problems = [];
+	if (!COMMIT_TYPES.includes(commit.type)) {
+		problems.push(`type "${commit.type}" is not one of ${COMMIT_TYPES.join(', ')}`);
+	}
+	if (commit.scope && !/^[\w./-]+$/.test(commit.scope)) {
+		problems.push(`scope "${commit.scope}" must be a single word without spaces or parentheses`);
+	}
+	if (!commit.subject) {
+		problems.push('subject is empty');
+	} else if (commit.subject.includes('\n')) {
+		problems.push('subject must be a single line');
+	}
+	const header = formatHeader(commit);
+	if (header.length > MAX_HEADER_LENGTH) {
+		problems.push(`header "${header}" is ${header.length} characters long (at most ${MAX_HEADER_LENGTH})`);
+	}
+	if (option.breaking !== undefined && option.breaking !== null && typeof option.breaking !== 'string') {
+		problems.push('breaking must be a string describing the breaking change, or empty');
+	}
+	return { commit: problems.length === 0 ? commit : null, problems };
+};
+
+/**
+ * Parses the model's reply into commit options. Code fences or text around the
+ * JSON object are tolerated; invalid options are reported and left out.
+ * @param {string} reply - The model's reply.
+ * @returns {{commits: Array<object>, errors: Array<string>}} - The valid commits (best first) and the problems found.
+ */
+const parseCommitOptions = (reply) => {
+	const start = reply.indexOf('{');
+	const end = reply.lastIndexOf('}');
+	if (start < 0 || end < start) {
+		return { commits: [], errors: ['the reply does not contain a JSON object'] };
+	}
+	let data;
+	try {
+		data = JSON.parse(reply.slice(start, end + 1));
+	} catch (error) {
+		return { commits: [], errors: [`the reply is not valid JSON (${error.message})`] };
+	}
+	if (!Array.isArray(data.options) || data.options.length === 0) {
+		return { commits: [], errors: ['"options" must be a non-empty array'] };
+	}
+
+	const commits = [];
+	const errors = [];
+	data.options.slice(0, MAX_OPTIONS).forEach((option, index) => {
+		const { commit, problems } = validateCommit(option);
+		if (commit) {
+			commits.push(commit);
+		} else {
+			errors.push(`option ${index + 1}: ${problems.join(', ')}`);
+		}
+	});
+	return { commits, errors };
+};
+
+/**
+ * Asks the model for Conventional Commits messages and validates them. When no
+ * option in the reply is valid, the reply and its problems are sent back to the
+ * model that produced it, up to maxAttempts requests in total.
+ * @param {string} inputText - The change description or diff.
+ * @param {object} mode - The rendered mode definition (its system prompt asks for JSON).
+ * @param {object} model - The model entry from models.json.
+ * @param {object} [options={}] - Options for callChatAPI (fallbackModels, timeoutMs, ...), plus:
+ * @param {number} [options.maxAttempts=DEFAULT_MAX_ATTEMPTS] - Maximum number of requests.
+ * @returns {Promise<{ok: boolean, content: string, commits?: Array<object>, modelId: string, failedModelIds: Array<string>}>}
+ *   - Like callChatAPI; on success `commits` holds the valid options, best first.
+ */
+const requestCommitMessages = async (inputText, mode, model, options = {}) => {
+	const { maxAttempts = DEFAULT_MAX_ATTEMPTS, fallbackModels = [], ...apiOptions } = options;
+	const failedModelIds = [];
+	let attemptText = inputText;
+	let attemptMode = mode;
+	let attemptModel = model;
+	let attemptFallbacks = fallbackModels;
+	let history = [];
+	let errors = [];
+	let lastReply = '';
+	let lastModelId = model.id;
+
+	for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+		const result = await callChatAPI(attemptText, attemptMode, attemptModel, history, { ...apiOptions, fallbackModels: attemptFallbacks });
+		if (!result.ok) {
+			return { ...result, failedModelIds: [...failedModelIds, ...result.failedModelIds] };
+		}
+		failedModelIds.push(...result.failedModelIds);
+
+		const parsed = parseCommitOptions(result.content);
+		if (parsed.commits.length > 0) {
+			if (parsed.errors.length > 0) {
+				console.warn(`Dropped invalid commit options from ${result.modelId}: ${parsed.errors.join('; ')}`);
+			}
+			return { ok: true, content: result.content, commits: parsed.commits, modelId: result.modelId, failedModelIds };
+		}
+
+		errors = parsed.errors;
+		lastReply = result.content;
+		lastModelId = result.modelId;
+		console.warn(`Invalid commit message from ${result.modelId} (attempt ${attempt} of ${maxAttempts}): ${errors.join('; ')}`);
+
+		// Re-prompt the model that answered, showing it its own reply
+		attemptModel = [model, ...fallbackModels].find(candidate => candidate.id === result.modelId) || attemptModel;
+		attemptFallbacks = [];
+		history = [
+			...history,
+			{ role: 'user', content: `${attemptMode.userPrefix || ''}${attemptText.trim()}` },
+			{ role: 'assistant', content: result.content },
+		];
+		attemptMode = { ...mode, userPrefix: '' };
+		attemptText = `That reply can't be used: ${errors.join('; ')}. Respond again with only the JSON object described in the instructions.`;
+	}
+
+	return {
+		ok: false,
+		content: `Sorry, the model didn't produce a valid Conventional Commits message in ${maxAttempts} attempts (${errors.join('; ')}). Its last reply was:\n\n${lastReply}`,
+		modelId: lastModelId,
+		failedModelIds,
+	};
+};
+
+module.exports = {
+	COMMIT_TYPES,
+	formatCommitMessage,
+	parseCommitOptions,
+	requestCommitMessages,
+	wrapText,
+};
@@ -0,0 +1,110 @@
+const path = require('path');
+const { OUTPUT_FORMATS } = require('./formatter');
+
+/**
+ * Reads the bot's configuration from environment variables (usually loaded from .env),
+ * applying the defaults documented in .env.sample.
+ * @param {object} [env=process.env] - The environment variables.
+ * @returns {object} - The configuration for createBot.
+ * @throws {Error} - If a required setting is missing or a setting is invalid.
+ */
+const loadConfig = (env = process.env) => {
+	const token = env.TELEGRAM_BOT_TOKEN;
+	const authorizedUserId = parseInt(env.AUTHORIZED_USER_ID, 10); // Ensure it's a number. Always an admin (bootstrap admin).
+	const defaultModelId = env.DEEPSEEK_MODEL; // Default model from .env
+	const chatHistoryMaxTurns = parseInt(env.CHAT_HISTORY_MAX_TURNS, 10) || 20; // Turns remembered per chat in chat mode
+	const chatHistoryMaxChars = parseInt(env.CHAT_HISTORY_MAX_CHARS, 10) || 12000; // Character budget of the remembered turns
+	const stateFilePath = env.STATE_FILE || path.join(__dirname, 'data', 'state.json'); // Where per-chat settings are saved
+	const streamResponses = env.STREAM_RESPONSES !== 'false'; // Progressively show responses as they are generated
+	const streamEditIntervalMs = parseInt(env.STREAM_EDIT_INTERVAL_MS, 10) || 1500; // Minimum time between progressive edits
+	const apiTimeoutMs = parseInt(env.API_TIMEOUT_MS, 10) || 60000; // Per-request timeout (idle timeout when streaming)
+	const apiMaxRetries = Number.isNaN(parseInt(env.API_MAX_RETRIES, 10)) ? 2 : parseInt(env.API_MAX_RETRIES, 10); // Retries per model on 429/5xx/timeouts
+	const apiRetryBaseDelayMs = parseInt(env.API_RETRY_BASE_DELAY_MS, 10) || 1000; // First retry delay, doubled for each further retry
+	const inlineModeIds = (env.INLINE_MODES || 'prompt,commit,translate').split(',').map(id => id.trim()); // Modes offered in inline queries
+	const inlineDebounceMs = parseInt(env.INLINE_DEBOUNCE_MS, 10) || 700; // Wait for typing to pause before calling the API
+	const inlineCacheTtlMs = parseInt(env.INLINE_CACHE_TTL_MS, 10) || 300000; // How long inline results are reused
+	const inlineTimeoutMs = parseInt(env.INLINE_TIMEOUT_MS, 10) || 8000; // Inline queries expire quickly, so don't wait long
+	const outputFormat = (env.OUTPUT_FORMAT || 'html').toLowerCase(); // 'html' renders Markdown, 'plain' sends it as-is
+	const outputFileThreshold = env.OUTPUT_FILE_THRESHOLD_CHARS !== undefined
+		? parseInt(env.OUTPUT_FILE_THRESHOLD_CHARS, 10) || 0 // 0 disables attaching responses as files
+		: 12000;
+	const imageMaxBytes = parseInt(env.IMAGE_MAX_BYTES, 10) || 5 * 1024 * 1024; // Largest photo passed to vision models
+	const documentMaxBytes = parseInt(env.DOCUMENT_MAX_BYTES, 10) || 100 * 1024; // Largest text document processed
+	const usageFilePath = env.USAGE_FILE || path.join(__dirname, 'data', 'usage.jsonl'); // Where every API request is logged
+	const dailyTokenBudget = parseInt(env.DAILY_TOKEN_BUDGET, 10) || 0; // Tokens per user per day, 0 for unlimited
+	const dailyCostBudget = parseFloat(env.DAILY_COST_BUDGET) || 0; // USD per user per day, 0 for unlimited
+	const archiveFilePath = env.ARCHIVE_FILE || path.join(__dirname, 'data', 'translations.jsonl'); // Where input/output pairs are archived
+	const archiveRetentionDays = Number.isNaN(parseInt(env.ARCHIVE_RETENTION_DAYS, 10)) ? 90 : parseInt(env.ARCHIVE_RETENTION_DAYS, 10); // Days of archived translations /recent and /search see, 0 for all
+	const glossaryFilePath = env.GLOSSARY_FILE || path.join(__dirname, 'data', 'glossary.json'); // Where per-chat glossaries are saved
+	const chatQueueConcurrency = parseInt(env.CHAT_QUEUE_CONCURRENCY, 10) || 1; // Requests processed at the same time per chat
+	const rateLimitBurst = Number.isNaN(parseInt(env.RATE_LIMIT_BURST, 10)) ? 5 : parseInt(env.RATE_LIMIT_BURST, 10); // Requests a user may send in a burst, 0 for no limit
+	const rateLimitPerMinute = Number.isNaN(parseFloat(env.RATE_LIMIT_PER_MINUTE)) ? 10 : parseFloat(env.RATE_LIMIT_PER_MINUTE); // Sustained requests per user per minute
+	const accessFilePath = env.ACCESS_FILE || path.join(__dirname, 'data', 'access.json'); // Where the allowlist is saved
+	const updateMode = (env.UPDATE_MODE || 'polling').toLowerCase(); // 'polling' (default) or 'webhook'
+	const webhookUrl = env.WEBHOOK_URL; // Public HTTPS URL Telegram posts updates to (webhook mode)
+	const webhookSecret = env.WEBHOOK_SECRET; // Secret token Telegram sends with every update (webhook mode)
+	const httpPort = parseInt(env.HTTP_PORT, 10) || (updateMode === 'webhook' ? 8080 : 0); // Port of the HTTP server, 0 for none
+	const httpHost = env.HTTP_HOST || '127.0.0.1'; // Interface the HTTP server listens on (/metrics has no authentication)
+	const shutdownTimeoutMs = parseInt(env.SHUTDOWN_TIMEOUT_MS, 10) || 30000; // How long shutdown waits for in-flight requests
+
+	// Basic validation (API keys and endpoints are checked per model, see providers.js)
+	if (!token || !authorizedUserId || !defaultModelId) {
+		throw new Error("Missing required environment variables (TELEGRAM_BOT_TOKEN, AUTHORIZED_USER_ID, DEEPSEEK_MODEL). Check your .env file.");
+	}
+	if (!OUTPUT_FORMATS.includes(outputFormat)) {
+		throw new Error(`OUTPUT_FORMAT must be one of: ${OUTPUT_FORMATS.join(', ')}.`);
+	}
+	if (!['polling', 'webhook'].includes(updateMode)) {
+		throw new Error("UPDATE_MODE must be 'polling' or 'webhook'.");
+	}
+	if (updateMode === 'webhook' && (!webhookUrl || !/^https:\/\//.test(webhookUrl))) {
+		throw new Error("Webhook mode requires WEBHOOK_URL, the public https:// URL Telegram sends updates to.");
+	}
+	if (updateMode === 'webhook' && !/^[A-Za-z0-9_-]{1,256}$/.test(webhookSecret || '')) {
+		throw new Error("Webhook mode requires WEBHOOK_SECRET: 1-256 characters, only A-Z, a-z, 0-9, _ and -.");
+	}
+
+	return {
+		token,
+		authorizedUserId,
+		defaultModelId,
+		chatHistoryMaxTurns,
+		chatHistoryMaxChars,
+		stateFilePath,
+		streamResponses,
+		streamEditIntervalMs,
+		apiTimeoutMs,
+		apiMaxRetries,
+		apiRetryBaseDelayMs,
+		inlineModeIds,
+		inlineDebounceMs,
+		inlineCacheTtlMs,
+		inlineTimeoutMs,
+		outputFormat,
+		outputFileThreshold,
+		imageMaxBytes,
+		documentMaxBytes,
+		usageFilePath,
+		dailyTokenBudget,
+		dailyCostBudget,
+		archiveFilePath,
+		archiveRetentionDays,
+		glossaryFilePath,
+		chatQueueConcurrency,
+		rateLimitBurst,
+		rateLimitPerMinute,
+		accessFilePath,
+		updateMode,
+		webhookUrl,
+		webhookSecret,
+		httpPort,
+		httpHost,
+		shutdownTimeoutMs,
+		modelsFilePath: path.join(__dirname, 'models.json'),
+		modesFilePath: path.join(__dirname, 'modes.json'),
+	};
+};
+
+module.exports = {
+	loadConfig,
+};
@@ -0,0 +1,330 @@
+/**
+ * Output formatting for AI responses. Models answer in Markdown, which Telegram
+ * cannot render as-is: responses are converted to Telegram's HTML subset (with
+ * everything else escaped), split into numbered parts at paragraph or code-block
+ * boundaries when they exceed the message limit, and sent as plain text when
+ * Telegram rejects the formatting. Very long responses can be attached as a
+ * Markdown file instead.
+ */
+
+// Telegram rejects messages longer than this many characters
+const TELEGRAM_MESSAGE_LIMIT = 4096;
+// Maximum length of a part before formatting; leaves room for tags, escaping and the part label
+const PART_LENGTH = 3500;
+const OUTPUT_FORMATS = ['html', 'plain'];
+
+const FENCE_PATTERN = /^\s*```\s*([\w+#.-]*)\s*$/;
+
+/**
+ * Escapes the characters that have a meaning in Telegram HTML.
+ * @param {string} text - The raw text.
+ * @returns {string} - The escaped text.
+ */
+const escapeHtml = (text) => text
+	.replace(/&/g, '&amp;')
+	.replace(/</g, '&lt;')
+	.replace(/>/g, '&gt;')
+	.replace(/"/g, '&quot;');
+
+/**
+ * Converts emphasis (bold, italic, strikethrough) of text without code or links to HTML.
+ * @param {string} text - The Markdown text.
+ * @returns {string} - The HTML text.
+ */
+const formatEmphasis = (text) => escapeHtml(text)
+	.replace(/\*\*(?=\S)([^*\n]+?)\*\*/g, '<b>$1</b>')
+	.replace(/__(?=\S)([^_\n]+?)__/g, '<b>$1</b>')
+	.replace(/~~(?=\S)([^~\n]+?)~~/g, '<s>$1</s>')
+	// Single * and _ only count next to non-word characters, so snake_case and 2*3*4 stay intact
+	.replace(/(^|[^\w*])\*(?=\S)([^*\n]+?)\*(?![\w*])/g, '$1<i>$2</i>')
+	.replace(/(^|[^\w])_(?=\S)([^_\n]+?)_(?!\w)/g, '$1<i>$2</i>');
+
+const LINK_PATTERN = /^\[([^\]\n]+)\]\((https?:\/\/[^)\s]+)\)$/;
+
+/**
+ * Converts inline Markdown (code, bold, italic, strikethrough, links) of a single line to HTML.
+ * @param {string} text - The Markdown text.
+ * @returns {string} - The HTML text.
+ */
+const formatInline = (text) => text
+	// Odd segments are inline code or links, split out so emphasis can't change their content or URL
+	.split(/(`[^`\n]+`|\[[^\]\n]+\]\(https?:\/\/[^)\s]+\))/)
+	.map((segment, index) => {
+		if (index % 2 === 0) {
+			return formatEmphasis(segment);
+		}
+		const link = segment.match(LINK_PATTERN);
+		if (link) {
+			return `<a href="${escapeHtml(link[2])}">${formatEmphasis(link[1])}</a>`;
+		}
+		return `<code>${escapeHtml(segment.slice(1, -1))}</code>`;
+	})
+	.join('');
+
+/**
+ * Converts Markdown to the HTML subset Telegram supports. Fenced code blocks become
+ * <pre> blocks, headings become bold lines, list bullets become "•" and quotes
+ * become <blockquote>. Anything unrecognized is escaped and shown as text.
+ * @param {string} markdown - The Markdown text.
+ * @returns {string} - The HTML text.
+ */
+const markdownToTelegramHtml = (markdown) => {
+	const output = [];
+	const lines = markdown.split('\n');
+	let quoteLines = [];
+
+	const flushQuote = () => {
+		if (quoteLines.length > 0) {
+			output.push(`<blockquote>${quoteLines.join('\n')}</blockquote>`);
+			quoteLines = [];
+		}
+	};
+
+	for (let i = 0; i < lines.length; i++) {
+		const line = lines[i];
+		const fence = line.match(FENCE_PATTERN);
+		if (fence) {
+			flushQuote();
+			const codeLines = [];
+			// A missing closing fence (e.g. an interrupted response) runs to the end
+			for (i++; i < lines.length && !/^\s*```\s*$/.test(lines[i]); i++) {
+				codeLines.push(lines[i]);
+			}
+			const language = fence[1] ? ` class="language-${fence[1]}"` : '';
+			output.push(`<pre><code${language}>${escapeHtml(codeLines.join('\n'))}</code></pre>`);
+			continue;
+		}
+
+		const quote = line.match(/^\s*>\s?(.*)$/);
+		if (quote) {
+			quoteLines.push(formatInline(quote[1]));
+			continue;
+		}
+		flushQuote();
+
+		const heading = line.match(/^\s*#{1,6}\s+(.+?)\s*#*\s*$/);
+		const bullet = line.match(/^(\s*)[-*+]\s+(.*)$/);
+		if (heading) {
+			output.push(`<b>${formatInline(heading[1])}</b>`);
+		} else if (bullet) {
+			output.push(`${bullet[1]}• ${formatInline(bullet[2])}`);
+		} else {
+			output.push(formatInline(line));
+		}
+	}
+	flushQuote();
+	return output.join('\n');
+};
+
+/**
+ * Splits Markdown into blocks: fenced code blocks and blank-line separated paragraphs.
+ * @param {string} markdown - The Markdown text.
+ * @returns {Array<{code: boolean, fence: string, lines: Array<string>}>} - The blocks; code
+ *   blocks keep their opening fence line separately from their content lines.
+ */
+const parseBlocks = (markdown) => {
+	const blocks = [];
+	const lines = markdown.split('\n');
+	let paragraph = [];
+
+	const flushParagraph = () => {
+		if (paragraph.length > 0) {
+			blocks.push({ code: false, fence: '', lines: paragraph });
+			paragraph = [];
+		}
+	};
+
+	for (let i = 0; i < lines.length; i++) {
+		if (FENCE_PATTERN.test(lines[i])) {
+			flushParagraph();
+			const fence = lines[i].trim();
+			const codeLines = [];
+			for (i++; i < lines.length && !/^\s*```\s*$/.test(lines[i]); i++) {
+				codeLines.push(lines[i]);
+			}
+			blocks.push({ code: true, fence, lines: codeLines });
+		} else if (lines[i].trim() === '') {
+			flushParagraph();
+		} else {
+			paragraph.push(lines[i]);
+		}
+	}
+	flushParagraph();
+	return blocks;
+};
+
+/**
+ * Cuts a single line that is longer than the limit, preferring spaces as cut points.
+ * @param {string} line - The line.
+ * @param {number} maxLength - Maximum length of a piece.
+ * @returns {Array<string>} - The pieces.
+ */
+const splitLongLine = (line, maxLength) => {
+	const pieces = [];
+	let rest = line;
+	while (rest.length > maxLength) {
+		let cut = rest.lastIndexOf(' ', maxLength);
+		if (cut < maxLength / 2) {
+			cut = maxLength;
+		}
+		pieces.push(rest.slice(0, cut));
+		rest = rest.slice(cut).replace(/^ /, '');
+	}
+	pieces.push(rest);
+	return pieces;
+};
+
+/**
+ * Renders a block back to Markdown, cut into pieces that fit the limit. Oversized
+ * code blocks are cut at line boundaries and every piece gets its own fences, so
+ * each piece is valid Markdown on its own.
+ * @param {object} block - A block from parseBlocks.
+ * @param {number} maxLength - Maximum length of a piece.
+ * @returns {Array<string>} - The pieces.
+ */
+const renderBlock = (block, maxLength) => {
+	const wrap = (lines) => (block.code ? [block.fence, ...lines, '```'] : lines).join('\n');
+	// Room for the fence lines of a code block
+	const contentLength = block.code ? maxLength - block.fence.length - 5 : maxLength;
+	const lines = block.lines.flatMap(line => splitLongLine(line, contentLength));
+
+	const pieces = [];
+	let current = [];
+	let currentLength = 0;
+	lines.forEach(line => {
+		if (current.length > 0 && currentLength + 1 + line.length > contentLength) {
+			pieces.push(wrap(current));
+			current = [];
+			currentLength = 0;
+		}
+		currentLength += (current.length > 0 ? 1 : 0) + line.length;
+		current.push(line);
+	});
+	if (current.length > 0 || pieces.length === 0) {
+		pieces.push(wrap(current));
+	}
+	return pieces;
+};
+
+/**
+ * Splits Markdown into parts no longer than the limit. Parts end at paragraph or
+ * code-block boundaries where possible; blocks that are too long on their own are
+ * cut at line boundaries (code blocks are re-fenced), and lines that are too long
+ * at spaces.
+ * @param {string} markdown - The Markdown text.
+ * @param {number} [maxLength=PART_LENGTH] - Maximum length of a part.
+ * @returns {Array<string>} - The parts, in order.
+ */
+const splitMarkdown = (markdown, maxLength = PART_LENGTH) => {
+	if (markdown.length <= maxLength) {
+		return [markdown];
+	}
+	const parts = [];
+	let current = '';
+	parseBlocks(markdown).flatMap(block => renderBlock(block, maxLength)).forEach(piece => {
+		if (current && current.length + 2 + piece.length > maxLength) {
+			parts.push(current);
+			current = '';
+		}
+		current = current ? `${current}\n\n${piece}` : piece;
+	});
+	if (current) {
+		parts.push(current);
+	}
+	return parts;
+};
+
+/**
+ * Shows one part of a response: edits the given message, or sends a new message if
+ * there is none or the edit fails. HTML that Telegram rejects is retried as plain text.
+ * @param {TelegramBot} bot - The bot instance.
+ * @param {number} chatId - The chat ID.
+ * @param {string} markdown - The part, in Markdown.
+ * @param {object} options
+ * @param {string} options.format - 'html' or 'plain'.
+ * @param {string} options.label - Text shown before the part (e.g. "[1/3]\n"), or ''.
+ * @param {number} [options.editMessageId] - The message to replace with the part.
+ * @param {object} [options.replyMarkup] - Buttons to attach.
+ * @returns {Promise<object|null>} - The message showing the part, or null if it couldn't be shown.
+ */
+const deliverPart = async (bot, chatId, markdown, { format, label, editMessageId, replyMarkup }) => {
+	const attempts = [];
+	if (format === 'html') {
+		const html = `${escapeHtml(label)}${markdownToTelegramHtml(markdown)}`;
+		if (html.length <= TELEGRAM_MESSAGE_LIMIT) {
+			attempts.push({ text: html, parse_mode: 'HTML' });
+		}
+	}
+	attempts.push({ text: `${label}${markdown}` });
+
+	const targets = editMessageId ? ['edit', 'send'] : ['send'];
+	for (const target of targets) {
+		for (const { text, parse_mode } of attempts) {
+			const options = { disable_web_page_preview: true, reply_markup: replyMarkup, ...(parse_mode ? { parse_mode } : {}) };
+			try {
+				if (target === 'edit') {
+					await bot.editMessageText(text, { chat_id: chatId, message_id: editMessageId, ...options });
+					return { message_id: editMessageId, chat: { id: chatId } };
+				}
+				return await bot.sendMessage(chatId, text, options);
+			} catch (error) {
+				console.warn(`Failed to ${target} ${parse_mode || 'plain text'} message for chat ID ${chatId}:`, error.message);
+			}
+		}
+	}
+	return null;
+};
+
+/**
+ * Sends an AI response with formatting. Short responses replace the given message
+ * (normally the "Processing..." acknowledgment); long ones are split into numbered
+ * parts, of which the first replaces the message; responses over the file threshold
+ * are attached as a .md file. Buttons go on the last part.
+ * @param {TelegramBot} bot - The bot instance.
+ * @param {number} chatId - The chat ID.
+ * @param {string} text - The response, in Markdown.
+ * @param {object} [options={}]
+ * @param {string} [options.format='html'] - 'html' to render Markdown, 'plain' to send it as-is.
+ * @param {number} [options.editMessageId] - The message to replace with the (first part of the) response.
+ * @param {object} [options.replyMarkup] - Buttons to attach.
+ * @param {number} [options.fileThreshold=0] - Send responses longer than this many characters as a file (0 disables).
+ * @param {string} [options.fileName='response.md'] - Name of the attached file.
+ * @returns {Promise<object|null>} - The message carrying the buttons, or null if nothing could be shown.
+ */
+const sendFormattedResponse = async (bot, chatId, text, options = {}) => {
+	const { format = 'html', editMessageId, replyMarkup, fileThreshold = 0, fileName = 'response.md' } = options;
+
+	if (fileThreshold > 0 && text.length > fileThreshold) {
+		const summary = `The response is ${text.length} characters long, so it is attached as ${fileName}.`;
+		const summaryMsg = await deliverPart(bot, chatId, summary, { format: 'plain', label: '', editMessageId, replyMarkup });
+		try {
+			await bot.sendDocument(chatId, Buffer.from(text, 'utf-8'), {}, { filename: fileName, contentType: 'text/markdown' });
+		} catch (error) {
+			console.error(`Failed to send ${fileName} to chat ID ${chatId}:`, error.message);
+			await deliverPart(bot, chatId, `Sorry, I couldn't attach ${fileName}. ${error.message}`, { format: 'plain', label: '' });
+		}
+		return summaryMsg;
+	}
+
+	const parts = splitMarkdown(text);
+	let lastMsg = null;
+	for (let i = 0; i < parts.length; i++) {
+		const isLast = i === parts.length - 1;
+		lastMsg = await deliverPart(bot, chatId, parts[i], {
+			format,
+			label: parts.length > 1 ? `[${i + 1}/${parts.length}]\n` : '',
+			editMessageId: i === 0 ? editMessageId : undefined,
+			replyMarkup: isLast ? replyMarkup : undefined,
+		});
+	}
+	return lastMsg;
+};
+
+module.exports = {
+	OUTPUT_FORMATS,
+	TELEGRAM_MESSAGE_LIMIT,
+	escapeHtml,
+	markdownToTelegramHtml,
+	splitMarkdown,
+	sendFormattedResponse,
+};
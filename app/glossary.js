@@ -0,0 +1,122 @@
+const { loadJsonFile, saveJsonFile } = require('./utils');
+
+const MAX_ENTRIES_PER_CHAT = 200;
+const MAX_TERM_LENGTH = 100;
+
+/**
+ * Checks whether a text contains a term, ignoring case. Terms that start or end
+ * with a word character must match whole words ("API" doesn't match "rapid"),
+ * while terms in scripts without spaces (e.g. Chinese) match anywhere.
+ * @param {string} text - The text to search.
+ * @param {string} term - The term.
+ * @returns {boolean} - True if the term occurs in the text.
+ */
+const containsTerm = (text, term) => {
+	const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+	const start = /^\w/.test(term) ? '\\b' : '';
+	const end = /\w$/.test(term) ? '\\b' : '';
+	return new RegExp(`${start}${escaped}${end}`, 'i').test(text);
+};
+
+/**
+ * Creates the glossary store: per chat, a list of terms and how they must be
+ * translated. In a group chat the glossary is shared by the whole team.
+ * Entries are stored in a JSON file.
+ * @param {object} options
+ * @param {string} options.filePath - Path of the JSON file used for storage.
+ * @returns {object} - The glossary store.
+ */
+const createGlossary = ({ filePath }) => {
+	const glossaries = loadJsonFile(filePath, {}); // chatId -> Array<{ source, target, addedBy, addedAt }>
+	console.log(`Loaded glossaries for ${Object.keys(glossaries).length} chats from ${filePath}.`);
+
+	const save = () => saveJsonFile(filePath, glossaries);
+	const findIndex = (chatId, source) => (glossaries[chatId] || [])
+		.findIndex(entry => entry.source.toLowerCase() === source.toLowerCase());
+
+	return {
+		/**
+		 * Returns the glossary of a chat, sorted by source term.
+		 * @param {number} chatId - The chat ID.
+		 * @returns {Array<{source: string, target: string}>} - The entries.
+		 */
+		list(chatId) {
+			return [...(glossaries[chatId] || [])].sort((a, b) => a.source.localeCompare(b.source));
+		},
+
+		/**
+		 * Adds an entry, or changes the target of an existing source term.
+		 * @param {number} chatId - The chat ID.
+		 * @param {string} source - The term as it appears in the input.
+		 * @param {string} target - How it must appear in the output.
+		 * @param {number} addedBy - The user who added the entry.
+		 * @returns {string|null} - An error message, or null if the entry was saved.
+		 */
+		add(chatId, source, target, addedBy) {
+			if (!source || !target) {
+				return "Both the source term and its translation are required.";
+			}
+			if (source.length > MAX_TERM_LENGTH || target.length > MAX_TERM_LENGTH) {
+				return `Terms can be at most ${MAX_TERM_LENGTH} characters long.`;
+			}
+			const entries = glossaries[chatId] || [];
+			const index = findIndex(chatId, source);
+			if (index < 0 && entries.length >= MAX_ENTRIES_PER_CHAT) {
+				return `The glossary is full (${MAX_ENTRIES_PER_CHAT} entries). Remove an entry first.`;
+			}
+			const entry = { source, target, addedBy, addedAt: new Date().toISOString() };
+			if (index < 0) {
+				entries.push(entry);
+			} else {
+				entries[index] = entry;
+			}
+			glossaries[chatId] = entries;
+			save();
+			return null;
+		},
+
+		/**
+		 * Removes the entry for a source term.
+		 * @param {number} chatId - The chat ID.
+		 * @param {string} source - The source term (case-insensitive).
+		 * @returns {boolean} - True if an entry was removed.
+		 */
+		remove(chatId, source) {
+			const index = findIndex(chatId, source);
+			if (index < 0) {
+				return false;
+			}
+			glossaries[chatId].splice(index, 1);
+			if (glossaries[chatId].length === 0) {
+				delete glossaries[chatId];
+			}
+			save();
+			return true;
+		},
+
+		/**
+		 * Returns the entries of a chat whose source term occurs in a text.
+		 * @param {number} chatId - The chat ID.
+		 * @param {string} text - The input text.
+		 * @returns {Array<{source: string, target: string}>} - The matching entries.
+		 */
+		findMatches(chatId, text) {
+			return (glossaries[chatId] || [])
+				.filter(entry => containsTerm(text, entry.source))
+				.map(({ source, target }) => ({ source, target }));
+		},
+	};
+};
+
+/**
+ * Checks an output against the glossary entries that matched its input.
+ * @param {Array<{source: string, target: string}>} entries - The matching entries.
+ * @param {string} output - The model's output.
+ * @returns {Array<{source: string, target: string}>} - The entries whose target term is missing from the output.
+ */
+const findMissingTerms = (entries, output) => entries.filter(entry => !containsTerm(output, entry.target));
+
+module.exports = {
+	createGlossary,
+	findMissingTerms,
+};
@@ -0,0 +1,62 @@
+// Chat types in which the bot only responds when addressed
+const GROUP_CHAT_TYPES = ['group', 'supergroup'];
+
+// Member statuses that may change a group's settings
+const GROUP_ADMIN_STATUSES = ['creator', 'administrator'];
+
+/**
+ * Checks whether a chat is a group chat.
+ * @param {object} chat - The Telegram chat.
+ * @returns {boolean} - True for groups and supergroups.
+ */
+const isGroupChat = (chat) => GROUP_CHAT_TYPES.includes(chat.type);
+
+/**
+ * Decides whether the bot should handle a message, and prepares it for the handlers.
+ * - Commands addressed to another bot (/help@otherbot) are ignored; the bot's own
+ *   name is removed (/help@thisbot -> /help), so handlers only see plain commands.
+ * - In private chats every other message is handled.
+ * - In group chats only the bot's own commands, commands addressed to it and messages
+ *   that mention the bot (@thisbot) are handled; the mention is removed from the text
+ *   or caption. Other commands (/weather) are meant for other bots and ignored.
+ * @param {object} message - The Telegram message.
+ * @param {string|null} botUsername - The bot's username, without the @ (null if unknown).
+ * @param {Array<string>} commands - The bot's commands, without the slash.
+ * @returns {object|null} - The message to handle (a copy if it was changed), or null to ignore it.
+ */
+const routeMessage = (message, botUsername, commands) => {
+	const field = typeof message.text === 'string' ? 'text' : (typeof message.caption === 'string' ? 'caption' : null);
+	let text = field ? message[field] : '';
+	const isOwnName = (name) => Boolean(botUsername) && name.toLowerCase() === botUsername.toLowerCase();
+
+	const command = /^(\/\w+)@(\w+)/.exec(text);
+	if (command) {
+		if (!isOwnName(command[2])) {
+			return null;
+		}
+		text = command[1] + text.slice(command[0].length);
+	}
+
+	if (isGroupChat(message.chat)) {
+		if (text.startsWith('/')) {
+			// Unaddressed commands that aren't the bot's own may be meant for another bot in the group
+			if (!command && !commands.includes(/^\/(\w*)/.exec(text)[1])) {
+				return null;
+			}
+		} else {
+			const mention = botUsername ? new RegExp(`@${botUsername}\\b`, 'gi') : null;
+			if (!mention || !mention.test(text)) {
+				return null;
+			}
+			text = text.replace(mention, '').trim();
+		}
+	}
+
+	return field && text !== message[field] ? { ...message, [field]: text } : message;
+};
+
+module.exports = {
+	GROUP_ADMIN_STATUSES,
+	isGroupChat,
+	routeMessage,
+};
@@ -0,0 +1,95 @@
+/**
+ * Creates an in-memory conversation history store for chat mode.
+ * History is kept per chat ID as a list of user/assistant turns. Whenever a
+ * turn is added, the oldest turns are dropped until the chat fits both the
+ * turn limit and the character budget (a rough stand-in for a token budget).
+ * @param {object} [options]
+ * @param {number} [options.maxTurns=20] - Maximum number of turns kept per chat.
+ * @param {number} [options.maxChars=12000] - Maximum total characters kept per chat.
+ * @returns {object} - The history store.
+ */
+const createHistoryStore = ({ maxTurns = 20, maxChars = 12000 } = {}) => {
+	const histories = new Map(); // chatId -> Array<{ user: string, assistant: string, timestamp: number }>
+
+	const turnLength = (turn) => turn.user.length + turn.assistant.length;
+
+	/**
+	 * Drops the oldest turns of a chat until it fits the configured limits.
+	 * The most recent turn is always kept, even if it alone exceeds the budget.
+	 * @param {Array<object>} turns - The turns of a single chat (modified in place).
+	 */
+	const trim = (turns) => {
+		let totalChars = turns.reduce((sum, turn) => sum + turnLength(turn), 0);
+		while (turns.length > 1 && (turns.length > maxTurns || totalChars > maxChars)) {
+			totalChars -= turnLength(turns.shift());
+		}
+	};
+
+	return {
+		/**
+		 * Returns the stored turns of a chat (oldest first).
+		 * @param {number} chatId - The chat ID.
+		 * @returns {Array<object>} - A copy of the stored turns.
+		 */
+		getTurns(chatId) {
+			return [...(histories.get(chatId) || [])];
+		},
+
+		/**
+		 * Returns the history of a chat as OpenAI-style messages.
+		 * @param {number} chatId - The chat ID.
+		 * @returns {Array<{role: string, content: string}>} - Alternating user/assistant messages.
+		 */
+		getMessages(chatId) {
+			const messages = [];
+			(histories.get(chatId) || []).forEach(turn => {
+				messages.push({ role: "user", content: turn.user });
+				messages.push({ role: "assistant", content: turn.assistant });
+			});
+			return messages;
+		},
+
+		/**
+		 * Records a completed exchange and trims the chat to fit the limits.
+		 * @param {number} chatId - The chat ID.
+		 * @param {string} userText - The user's message.
+		 * @param {string} assistantText - The AI's reply.
+		 */
+		addTurn(chatId, userText, assistantText) {
+			if (!histories.has(chatId)) {
+				histories.set(chatId, []);
+			}
+			const turns = histories.get(chatId);
+			turns.push({ user: userText, assistant: assistantText, timestamp: Date.now() });
+			trim(turns);
+		},
+
+		/**
+		 * Removes the most recent turn of a chat.
+		 * @param {number} chatId - The chat ID.
+		 * @returns {object|null} - The removed turn, or null if the history was empty.
+		 */
+		undo(chatId) {
+			const turns = histories.get(chatId);
+			if (!turns || turns.length === 0) {
+				return null;
+			}
+			return turns.pop();
+		},
+
+		/**
+		 * Clears the history of a chat.
+		 * @param {number} chatId - The chat ID.
+		 * @returns {number} - The number of turns that were removed.
+		 */
+		reset(chatId) {
+			const count = (histories.get(chatId) || []).length;
+			histories.delete(chatId);
+			return count;
+		},
+	};
+};
+
+module.exports = {
+	createHistoryStore,
+};
@@ -0,0 +1,98 @@
+/**
+ * Inline keyboard builders. Button presses arrive as callback queries whose
+ * `callback_data` is "<prefix>:<value>"; the callback_query handler in bot.js
+ * dispatches on the prefix. Telegram limits callback_data to 64 bytes, so
+ * models are referenced by their index in models.json rather than their ID.
+ */
+
+const CURRENT_MARK = "✓ ";
+
+/**
+ * Builds a keyboard with one button per model, marking the current one.
+ * @param {Array<object>} models - The model entries from models.json.
+ * @param {string} currentModelId - The ID of the selected model.
+ * @param {string} [prefix='model'] - Callback data prefix.
+ * @returns {{inline_keyboard: Array<Array<object>>}} - The reply markup.
+ */
+const buildModelKeyboard = (models, currentModelId, prefix = 'model') => ({
+	inline_keyboard: models.map((model, index) => [{
+		text: `${model.id === currentModelId ? CURRENT_MARK : ""}${model.name || model.id}`,
+		callback_data: `${prefix}:${index}`,
+	}]),
+});
+
+/**
+ * Builds a keyboard with one button per mode (two per row), marking the current one.
+ * @param {Array<object>} modes - The mode definitions.
+ * @param {string} currentModeId - The ID of the selected mode.
+ * @returns {{inline_keyboard: Array<Array<object>>}} - The reply markup.
+ */
+const buildModeKeyboard = (modes, currentModeId) => {
+	const rows = [];
+	modes.forEach((mode, index) => {
+		if (index % 2 === 0) {
+			rows.push([]);
+		}
+		rows[rows.length - 1].push({
+			text: `${mode.id === currentModeId ? CURRENT_MARK : ""}${mode.label}`,
+			callback_data: `mode:${mode.id}`,
+		});
+	});
+	return { inline_keyboard: rows };
+};
+
+/**
+ * Builds the action buttons attached to a result message.
+ * @param {object} options
+ * @param {boolean} options.offerCommitRedo - Whether to show "Switch to commit mode and redo".
+ * @param {number} [options.optionCount=1] - Number of alternative results (e.g. commit messages); with more
+ *   than one, a row of "Option N" buttons selects which is shown.
+ * @param {number} [options.selectedOption=0] - Index of the alternative currently shown.
+ * @param {boolean} [options.offerReasoning=false] - Whether to show "Show reasoning" (the model's thinking is available).
+ * @returns {{inline_keyboard: Array<Array<object>>}} - The reply markup.
+ */
+const buildResultKeyboard = ({ offerCommitRedo, optionCount = 1, selectedOption = 0, offerReasoning = false }) => {
+	const rows = [];
+	if (optionCount > 1) {
+		rows.push(Array.from({ length: optionCount }, (_, index) => ({
+			text: `${index === selectedOption ? CURRENT_MARK : ""}Option ${index + 1}`,
+			callback_data: `result:option:${index}`,
+		})));
+	}
+	rows.push([
+		{ text: "Regenerate", callback_data: "result:regenerate" },
+		{ text: "Try another model", callback_data: "result:models" },
+	]);
+	if (offerReasoning) {
+		rows.push([{ text: "Show reasoning", callback_data: "result:reasoning" }]);
+	}
+	if (offerCommitRedo) {
+		rows.push([{ text: "Switch to commit mode and redo", callback_data: "result:redo:commit" }]);
+	}
+	return { inline_keyboard: rows };
+};
+
+/**
+ * Builds the "Try another model" keyboard shown on a result message: one button per
+ * model except the one that produced the result, plus a button back to the actions.
+ * @param {Array<object>} models - The model entries from models.json.
+ * @param {string} usedModelId - The ID of the model that produced the result.
+ * @returns {{inline_keyboard: Array<Array<object>>}} - The reply markup.
+ */
+const buildRetryModelKeyboard = (models, usedModelId) => {
+	const rows = [];
+	models.forEach((model, index) => {
+		if (model.id !== usedModelId) {
+			rows.push([{ text: model.name || model.id, callback_data: `result:model:${index}` }]);
+		}
+	});
+	rows.push([{ text: "« Back", callback_data: "result:back" }]);
+	return { inline_keyboard: rows };
+};
+
+module.exports = {
+	buildModelKeyboard,
+	buildRetryModelKeyboard,
+	buildModeKeyboard,
+	buildResultKeyboard,
+};
@@ -0,0 +1,69 @@
+/**
+ * Languages that can be selected with /lang, keyed by code.
+ * "auto" is not listed here: as a source language it means "detect automatically",
+ * as a target language it means "the language of the user's message".
+ */
+const LANGUAGES = {
+	'en': 'English',
+	'ja': 'Japanese',
+	'ko': 'Korean',
+	'zh-TW': 'Traditional Chinese',
+	'zh-CN': 'Simplified Chinese',
+	'fr': 'French',
+	'de': 'German',
+	'es': 'Spanish',
+	'pt': 'Portuguese',
+	'it': 'Italian',
+	'ru': 'Russian',
+	'vi': 'Vietnamese',
+	'th': 'Thai',
+	'id': 'Indonesian',
+};
+
+const AUTO = 'auto';
+
+/**
+ * Normalizes a language code as typed by a user (e.g. "JA", "zh-tw", "Auto").
+ * @param {string} code - The language code.
+ * @returns {string|null} - The code as listed in LANGUAGES, "auto", or null if unknown.
+ */
+const normalizeLanguageCode = (code) => {
+	if (typeof code !== 'string') {
+		return null;
+	}
+	const lowerCode = code.trim().toLowerCase();
+	if (lowerCode === AUTO) {
+		return AUTO;
+	}
+	return Object.keys(LANGUAGES).find(knownCode => knownCode.toLowerCase() === lowerCode) || null;
+};
+
+/**
+ * Builds the values of the language placeholders used in modes.json prompts.
+ * @param {string} sourceLang - Source language code, or "auto".
+ * @param {string} targetLang - Target language code, or "auto".
+ * @returns {{source_language: string, target_language: string}} - Text to substitute for {source_language} and {target_language}.
+ */
+const getLanguageVariables = (sourceLang, targetLang) => ({
+	source_language: sourceLang === AUTO || !LANGUAGES[sourceLang]
+		? "whatever language it is written in (detect it automatically)"
+		: LANGUAGES[sourceLang],
+	target_language: targetLang === AUTO || !LANGUAGES[targetLang]
+		? "the same language as the user's message"
+		: LANGUAGES[targetLang],
+});
+
+/**
+ * Formats a language code for display, e.g. "ja (Japanese)".
+ * @param {string} code - The language code, or "auto".
+ * @returns {string} - The display text.
+ */
+const formatLanguage = (code) => (code === AUTO ? "auto (detect)" : `${code} (${LANGUAGES[code] || 'unknown'})`);
+
+module.exports = {
+	LANGUAGES,
+	AUTO,
+	normalizeLanguageCode,
+	getLanguageVariables,
+	formatLanguage,
+};
@@ -0,0 +1,146 @@
+// Upper bounds (in seconds) of the API latency histogram buckets
+const LATENCY_BUCKETS_SECONDS = [0.5, 1, 2, 5, 10, 20, 30, 60, 120];
+
+/**
+ * Escapes a Prometheus label value.
+ * @param {string} value - The label value.
+ * @returns {string} - The escaped value.
+ */
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * Creates the metrics collector: API requests per model and outcome, API latency
+ * per model, received updates, and the requests still in flight, which graceful
+ * shutdown waits for. Metrics are kept in memory and start over on restart.
+ * @returns {object} - The metrics collector.
+ */
+const createMetrics = () => {
+	const startedAt = Date.now();
+	const models = new Map(); // modelId -> { outcomes: { outcome: count }, buckets: Array<number>, latencySumMs, latencyCount }
+	const inFlight = new Set(); // Promises of requests that haven't finished yet
+	let updates = 0;
+
+	return {
+		/**
+		 * Counts an API request, e.g. from callChatAPI's onRequest callback.
+		 * @param {object} request - { modelId, outcome, latencyMs }.
+		 */
+		recordRequest({ modelId, outcome, latencyMs }) {
+			if (!models.has(modelId)) {
+				models.set(modelId, { outcomes: {}, buckets: LATENCY_BUCKETS_SECONDS.map(() => 0), latencySumMs: 0, latencyCount: 0 });
+			}
+			const model = models.get(modelId);
+			model.outcomes[outcome] = (model.outcomes[outcome] || 0) + 1;
+			model.latencySumMs += latencyMs;
+			model.latencyCount += 1;
+			LATENCY_BUCKETS_SECONDS.forEach((bound, index) => {
+				if (latencyMs <= bound * 1000) {
+					model.buckets[index] += 1;
+				}
+			});
+		},
+
+		/**
+		 * Counts an update received from Telegram.
+		 */
+		recordUpdate() {
+			updates += 1;
+		},
+
+		/**
+		 * Tracks a request until its promise settles.
+		 * @param {Promise<*>} promise - The request.
+		 * @returns {Promise<*>} - The same promise.
+		 */
+		track(promise) {
+			inFlight.add(promise);
+			const remove = () => inFlight.delete(promise);
+			promise.then(remove, remove);
+			return promise;
+		},
+
+		/**
+		 * @returns {number} - The number of requests in flight.
+		 */
+		get inFlight() {
+			return inFlight.size;
+		},
+
+		/**
+		 * Waits until no requests are in flight, including ones started while waiting.
+		 * @param {number} timeoutMs - Give up after this long.
+		 * @returns {Promise<boolean>} - True if all requests finished, false on timeout.
+		 */
+		async drain(timeoutMs) {
+			const deadline = Date.now() + timeoutMs;
+			while (inFlight.size > 0) {
+				const remainingMs = deadline - Date.now();
+				if (remainingMs <= 0) {
+					return false;
+				}
+				let timer;
+				await Promise.race([
+					Promise.allSettled([...inFlight]),
+					new Promise(resolve => { timer = setTimeout(resolve, remainingMs); }),
+				]);
+				clearTimeout(timer);
+			}
+			return true;
+		},
+
+		/**
+		 * Renders the metrics in the Prometheus text exposition format.
+		 * @returns {string} - The metrics.
+		 */
+		render() {
+			const lines = [
+				'# HELP bot_uptime_seconds Seconds since the bot started.',
+				'# TYPE bot_uptime_seconds gauge',
+				`bot_uptime_seconds ${Math.round((Date.now() - startedAt) / 1000)}`,
+				'# HELP bot_updates_total Updates received from Telegram.',
+				'# TYPE bot_updates_total counter',
+				`bot_updates_total ${updates}`,
+				'# HELP bot_in_flight_requests Requests being processed or queued.',
+				'# TYPE bot_in_flight_requests gauge',
+				`bot_in_flight_requests ${inFlight.size}`,
+				'# HELP bot_api_requests_total API requests per model and outcome (ok, error, timeout, interrupted, cancelled).',
+				'# TYPE bot_api_requests_total counter',
+			];
+			models.forEach((model, modelId) => {
+				Object.entries(model.outcomes).forEach(([outcome, count]) => {
+					lines.push(`bot_api_requests_total{model="${escapeLabel(modelId)}",outcome="${escapeLabel(outcome)}"} ${count}`);
+				});
+			});
+			lines.push(
+				'# HELP bot_api_errors_total Failed API requests per model.',
+				'# TYPE bot_api_errors_total counter',
+			);
+			models.forEach((model, modelId) => {
+				const errors = Object.entries(model.outcomes)
+					.filter(([outcome]) => outcome !== 'ok')
+					.reduce((sum, [, count]) => sum + count, 0);
+				lines.push(`bot_api_errors_total{model="${escapeLabel(modelId)}"} ${errors}`);
+			});
+			lines.push(
+				'# HELP bot_api_request_duration_seconds API request latency per model.',
+				'# TYPE bot_api_request_duration_seconds histogram',
+			);
+			models.forEach((model, modelId) => {
+				const label = `model="${escapeLabel(modelId)}"`;
+				LATENCY_BUCKETS_SECONDS.forEach((bound, index) => {
+					lines.push(`bot_api_request_duration_seconds_bucket{${label},le="${bound}"} ${model.buckets[index]}`);
+				});
+				lines.push(
+					`bot_api_request_duration_seconds_bucket{${label},le="+Inf"} ${model.latencyCount}`,
+					`bot_api_request_duration_seconds_sum{${label}} ${model.latencySumMs / 1000}`,
+					`bot_api_request_duration_seconds_count{${label}} ${model.latencyCount}`,
+				);
+			});
+			return `${lines.join('\n')}\n`;
+		},
+	};
+};
+
+module.exports = {
+	createMetrics,
+};
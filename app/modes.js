@@ -0,0 +1,113 @@
+const fs = require('fs');
+const { validateParameters } = require('./parameters');
+
+// How a mode's replies are handled: shown as-is, or parsed as structured commit messages (see commits.js)
+const OUTPUT_TYPES = ['text', 'conventional_commit'];
+
+// Commands of the bot itself (without the slash), which modes can't use
+const BUILT_IN_COMMANDS = ['start', 'help', 'modes', 'mode', 'lang', 'list_models', 'set_model', 'reset', 'history', 'undo',
+	'cancel', 'recent', 'search', 'export', 'glossary', 'settings', 'tr', 'stats', 'users', 'allow', 'deny'];
+
+/**
+ * Loads the mode registry from a JSON file (modes.json).
+ * Each mode defines how input is processed:
+ * - id: Unique identifier, stored in the chat settings (e.g. "prompt").
+ * - label: Display name (e.g. "Prompt Translation"). Defaults to the id.
+ * - command: Bot command that switches to the mode, without the slash. Defaults to "<id>_mode".
+ *   It can't be one of the BUILT_IN_COMMANDS.
+ * - description: One-line description shown by /modes and /help.
+ * - systemPrompt: The system prompt sent to the model.
+ * - userPrefix: Text prepended to the user's input (optional).
+ *   Both may contain {source_language} and {target_language} placeholders, see renderMode.
+ * - history: If true, the mode is conversational and previous exchanges are sent along (optional).
+ * - showReasoning: If true, the reasoning of thinking models is offered with a "Show reasoning" button.
+ *   Otherwise it is dropped; answers never include it (optional).
+ * - targetLanguage: Target language code used when the chat has not chosen one with /lang (optional, default "en").
+ * - defaultModel: Model ID switched to when the mode is selected (optional).
+ * - parameters: Generation parameters for the mode, e.g. { "temperature": 0.2 } (optional). They override
+ *   the model's parameters and are overridden by the user's /settings, see parameters.js.
+ * - output: "text" (default) or "conventional_commit" for JSON replies turned into validated commit messages (optional).
+ * Invalid entries are skipped with a warning.
+ * @param {string} filePath - Path of the modes JSON file.
+ * @returns {Array<object>} - The valid mode definitions, in file order.
+ * @throws {Error} - If the file cannot be read or contains no valid modes.
+ */
+const loadModes = (filePath) => {
+	const rawModes = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+	if (!Array.isArray(rawModes)) {
+		throw new Error(`${filePath} must contain an array of modes.`);
+	}
+
+	const modes = [];
+	rawModes.forEach((rawMode, index) => {
+		if (!rawMode || typeof rawMode.id !== 'string' || !/^[a-z0-9_]+$/.test(rawMode.id)) {
+			console.warn(`Warning: Skipping mode #${index + 1} in ${filePath}: "id" must be lowercase letters, digits or underscores.`);
+			return;
+		}
+		if (typeof rawMode.systemPrompt !== 'string' || !rawMode.systemPrompt.trim()) {
+			console.warn(`Warning: Skipping mode "${rawMode.id}" in ${filePath}: "systemPrompt" is required.`);
+			return;
+		}
+		const command = rawMode.command || `${rawMode.id}_mode`;
+		if (!/^[a-z0-9_]+$/i.test(command)) {
+			console.warn(`Warning: Skipping mode "${rawMode.id}" in ${filePath}: "command" must be letters, digits or underscores.`);
+			return;
+		}
+		if (BUILT_IN_COMMANDS.includes(command.toLowerCase())) {
+			console.warn(`Warning: Skipping mode "${rawMode.id}" in ${filePath}: "/${command}" is a built-in command.`);
+			return;
+		}
+		const output = rawMode.output || 'text';
+		if (!OUTPUT_TYPES.includes(output)) {
+			console.warn(`Warning: Skipping mode "${rawMode.id}" in ${filePath}: "output" must be one of ${OUTPUT_TYPES.join(', ')}.`);
+			return;
+		}
+		if (modes.some(mode => mode.id === rawMode.id || mode.command === command)) {
+			console.warn(`Warning: Skipping mode "${rawMode.id}" in ${filePath}: duplicate id or command.`);
+			return;
+		}
+		modes.push({
+			id: rawMode.id,
+			label: rawMode.label || rawMode.id,
+			command,
+			description: rawMode.description || '',
+			systemPrompt: rawMode.systemPrompt,
+			userPrefix: rawMode.userPrefix || '',
+			history: Boolean(rawMode.history),
+			showReasoning: Boolean(rawMode.showReasoning),
+			targetLanguage: rawMode.targetLanguage || 'en',
+			defaultModel: rawMode.defaultModel || null,
+			parameters: validateParameters(rawMode.parameters, `mode "${rawMode.id}"`),
+			output,
+		});
+	});
+
+	if (modes.length === 0) {
+		throw new Error(`${filePath} does not contain any valid modes.`);
+	}
+	return modes;
+};
+
+/**
+ * Returns a copy of a mode with the {placeholders} in its system prompt and user
+ * prefix replaced. Unknown placeholders are left untouched.
+ * @param {object} mode - The mode definition.
+ * @param {object} variables - Placeholder values, e.g. { target_language: 'Japanese' }.
+ * @returns {object} - The mode definition with rendered prompts.
+ */
+const renderMode = (mode, variables) => {
+	const render = (template) => template.replace(/\{(\w+)\}/g, (placeholder, name) => (
+		Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : placeholder
+	));
+	return {
+		...mode,
+		systemPrompt: render(mode.systemPrompt),
+		userPrefix: render(mode.userPrefix),
+	};
+};
+
+module.exports = {
+	BUILT_IN_COMMANDS,
+	loadModes,
+	renderMode,
+};
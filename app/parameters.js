@@ -0,0 +1,130 @@
+/**
+ * Generation parameters: how they are validated, parsed from /settings and merged.
+ * They can be set per model ("parameters" in models.json), per mode ("parameters"
+ * in modes.json) and per user (/settings). Later layers win, one parameter at a time:
+ * model < mode < user. Parameters that no layer sets are left to the provider's default.
+ */
+
+const REASONING_EFFORTS = ['low', 'medium', 'high'];
+const MAX_STOP_SEQUENCES = 4;
+
+/**
+ * Parses a number typed in /settings. Only plain decimals are accepted; Number()
+ * alone would also turn "" into 0 and "0x10" into 16.
+ * @param {string} text - The value as typed.
+ * @returns {number} - The number, or NaN if the text isn't a plain decimal.
+ */
+const parseDecimal = (text) => (/^(?:\d+(?:\.\d*)?|\.\d+)$/.test(text) ? Number(text) : NaN);
+
+// name -> { description, validate(value) -> error message or null, parse(text) -> value }
+const PARAMETERS = {
+	temperature: {
+		description: "Randomness, 0-2. Low values give focused, repeatable output.",
+		validate: (value) => (typeof value === 'number' && value >= 0 && value <= 2 ? null : "must be a number from 0 to 2"),
+		parse: parseDecimal,
+	},
+	top_p: {
+		description: "Nucleus sampling, 0-1.",
+		validate: (value) => (typeof value === 'number' && value >= 0 && value <= 1 ? null : "must be a number from 0 to 1"),
+		parse: parseDecimal,
+	},
+	max_tokens: {
+		description: "Maximum length of the response, in tokens.",
+		validate: (value) => (Number.isInteger(value) && value > 0 ? null : "must be a positive whole number"),
+		parse: parseDecimal,
+	},
+	reasoning_effort: {
+		description: `How much reasoning models think before answering: ${REASONING_EFFORTS.join(', ')}.`,
+		validate: (value) => (REASONING_EFFORTS.includes(value) ? null : `must be one of ${REASONING_EFFORTS.join(', ')}`),
+		parse: (text) => text.toLowerCase(),
+	},
+	stop: {
+		description: `Up to ${MAX_STOP_SEQUENCES} sequences that end the response, separated by | (\\n for a line break).`,
+		validate: (value) => (Array.isArray(value) && value.length > 0 && value.length <= MAX_STOP_SEQUENCES
+			&& value.every(sequence => typeof sequence === 'string' && sequence.length > 0)
+			? null
+			: `must be 1 to ${MAX_STOP_SEQUENCES} non-empty strings`),
+		parse: (text) => text.split('|').map(sequence => sequence.trim().replace(/\\n/g, '\n')).filter(Boolean),
+	},
+};
+
+const PARAMETER_NAMES = Object.keys(PARAMETERS);
+
+// Request fields the bot sets itself, which parameters may not replace
+const RESERVED_FIELDS = ['model', 'messages', 'stream', 'stream_options'];
+
+/**
+ * Validates the "parameters" object of a model or mode. Invalid values of known
+ * parameters and request fields the bot sets itself (model, messages, stream)
+ * are dropped with a warning; other keys are passed to the API as-is.
+ * @param {*} rawParameters - The parameters from the JSON file.
+ * @param {string} owner - What they belong to, for warnings (e.g. 'mode "chat"').
+ * @returns {object} - The valid parameters.
+ */
+const validateParameters = (rawParameters, owner) => {
+	if (rawParameters === undefined || rawParameters === null) {
+		return {};
+	}
+	if (typeof rawParameters !== 'object' || Array.isArray(rawParameters)) {
+		console.warn(`Warning: Ignoring "parameters" of ${owner}: it must be an object.`);
+		return {};
+	}
+	const parameters = {};
+	Object.entries(rawParameters).forEach(([name, rawValue]) => {
+		if (RESERVED_FIELDS.includes(name)) {
+			console.warn(`Warning: Ignoring "${name}" of ${owner}: it is set by the bot.`);
+			return;
+		}
+		const spec = PARAMETERS[name];
+		// A single stop sequence may be given as a string
+		const value = name === 'stop' && typeof rawValue === 'string' ? [rawValue] : rawValue;
+		const error = spec ? spec.validate(value) : null;
+		if (error) {
+			console.warn(`Warning: Ignoring "${name}" of ${owner}: it ${error}.`);
+			return;
+		}
+		parameters[name] = value;
+	});
+	return parameters;
+};
+
+/**
+ * Parses a parameter value typed in /settings.
+ * @param {string} name - The parameter name.
+ * @param {string} text - The value as typed.
+ * @returns {{value: *}|{error: string}} - The value, or why it is invalid.
+ */
+const parseParameter = (name, text) => {
+	const spec = PARAMETERS[name];
+	if (!spec) {
+		return { error: `Unknown setting "${name}". Use one of: ${PARAMETER_NAMES.join(', ')}.` };
+	}
+	const value = spec.parse(text.trim());
+	const error = spec.validate(value);
+	return error ? { error: `${name} ${error}.` } : { value };
+};
+
+/**
+ * Merges parameter layers; for each parameter the last layer that sets it wins.
+ * @param {...object} layers - Parameter objects, lowest precedence first (missing layers are skipped).
+ * @returns {object} - The merged parameters.
+ */
+const mergeParameters = (...layers) => Object.assign({}, ...layers.filter(Boolean));
+
+/**
+ * Formats a parameter value for display.
+ * @param {*} value - The value.
+ * @returns {string} - The value as text.
+ */
+const formatParameter = (value) => (Array.isArray(value)
+	? value.map(sequence => JSON.stringify(sequence)).join(' | ')
+	: String(value));
+
+module.exports = {
+	PARAMETERS,
+	PARAMETER_NAMES,
+	validateParameters,
+	parseParameter,
+	mergeParameters,
+	formatParameter,
+};
@@ -0,0 +1,180 @@
+/**
+ * Provider registry. Each model in models.json names a provider (default: "openrouter"),
+ * which determines where requests go, which API key is used and how the request
+ * payload is built. A model entry can override the provider's endpoint and key:
+ * - provider: "openrouter" | "deepseek" | "openai" | "ollama"
+ * - endpoint: Chat completions URL (required for "openai", optional otherwise)
+ * - apiKeyEnv: Name of the environment variable holding the API key
+ * - model: Model name sent to the API, if different from the entry's id
+ *   (e.g. id "ollama/llama3.1" with model "llama3.1")
+ * - vision: true if the model accepts images
+ */
+
+/**
+ * Builds the messages array for standard OpenAI-compatible models.
+ * @param {string} systemPrompt - The system prompt content.
+ * @param {string} userPrompt - The user's input content.
+ * @param {string} modPrefix - The prefix to add to the user prompt based on mode.
+ * @param {Array<{role: string, content: string}>} [history=[]] - Previous conversation turns, oldest first.
+ * @param {Array<string>} [images=[]] - Image URLs (or data URLs) attached to the user's input.
+ * @returns {Array<object>} - The messages array for the API request.
+ */
+const buildStandardMessages = (systemPrompt, userPrompt, modPrefix, history = [], images = []) => {
+    const messages = [];
+    if (systemPrompt) {
+        messages.push({ role: "system", content: systemPrompt });
+    }
+    history.forEach(message => {
+        messages.push({ role: message.role, content: message.content });
+    });
+    if (images.length > 0) {
+        // Images require the array content structure
+        messages.push({
+            role: "user",
+            content: [
+                { type: "text", text: modPrefix + userPrompt },
+                ...images.map(url => ({ type: "image_url", image_url: { url } }))
+            ]
+        });
+    } else {
+        messages.push({ role: "user", content: modPrefix + userPrompt });
+    }
+    return messages;
+};
+
+/**
+ * Builds the messages array for Google models (Gemini).
+ * @param {string} systemPrompt - The system prompt content.
+ * @param {string} userPrompt - The user's input content.
+ * @param {string} modPrefix - The prefix to add to the user prompt based on mode.
+ * @param {Array<{role: string, content: string}>} [history=[]] - Previous conversation turns, oldest first.
+ * @param {Array<string>} [images=[]] - Image URLs (or data URLs) attached to the user's input.
+ * @returns {Array<object>} - The messages array for the API request.
+ */
+const buildGoogleMessages = (systemPrompt, userPrompt, modPrefix, history = [], images = []) => {
+    const messages = [];
+    // Google models expect system instructions potentially within the first user message
+    // or sometimes have dedicated fields outside 'messages'. OpenRouter standardizes
+    // this, but the content structure MUST be an array.
+    // We'll include the system prompt as a separate message if provided,
+    // following the array content structure.
+    if (systemPrompt) {
+        messages.push({
+            role: "system", // Or potentially 'user' depending on exact model needs via OpenRouter
+            content: [
+                { type: "text", text: systemPrompt }
+            ]
+        });
+    }
+    history.forEach(message => {
+        messages.push({
+            role: message.role,
+            content: [
+                { type: "text", text: message.content }
+            ]
+        });
+    });
+    messages.push({
+        role: "user",
+        content: [
+            { type: "text", text: modPrefix + userPrompt },
+            ...images.map(url => ({ type: "image_url", image_url: { url } }))
+        ]
+    });
+    return messages;
+};
+
+/**
+ * Moves the reasoning effort into OpenRouter's `reasoning` object; other
+ * OpenAI-compatible APIs take `reasoning_effort` as it is.
+ * @param {object} parameters - The generation parameters.
+ * @returns {object} - The parameters in OpenRouter's format.
+ */
+const toOpenRouterParameters = ({ reasoning_effort, ...parameters }) => (reasoning_effort
+    ? { ...parameters, "reasoning": { ...parameters.reasoning, "effort": reasoning_effort } }
+    : parameters);
+
+/**
+ * Builds an OpenAI-compatible chat completions request body.
+ * @param {function} buildMessages - The messages builder to use.
+ * @param {function(object): object} [formatParameters] - Converts the generation parameters to the provider's format.
+ * @returns {function(object): object} - The payload builder.
+ */
+const openAICompatiblePayload = (buildMessages, formatParameters = (parameters) => parameters) => ({ model, systemPrompt, userPrompt, modPrefix, history, images, parameters, stream }) => ({
+    // Generation parameters (e.g. temperature, top_p, max_tokens, stop), first so they can't replace the fields below
+    ...formatParameters(parameters),
+    "model": model,
+    "messages": buildMessages(systemPrompt, userPrompt, modPrefix, history, images),
+    "stream": stream,
+    // Ask for token usage in the last stream event (non-streamed responses always include it)
+    ...(stream ? { "stream_options": { "include_usage": true } } : {}),
+});
+
+const PROVIDERS = {
+    openrouter: {
+        label: "OpenRouter",
+        defaultEndpoint: () => process.env.DEEPSEEK_API_ENDPOINT || "https://openrouter.ai/api/v1/chat/completions",
+        apiKeyEnv: "DEEPSEEK_API_KEY",
+        // Google models (Gemini) on OpenRouter need array-structured message content
+        buildPayload: (request) => (request.model.startsWith('google/')
+            ? openAICompatiblePayload(buildGoogleMessages, toOpenRouterParameters)(request)
+            : openAICompatiblePayload(buildStandardMessages, toOpenRouterParameters)(request)),
+    },
+    deepseek: {
+        label: "DeepSeek",
+        defaultEndpoint: () => process.env.DEEPSEEK_PLATFORM_ENDPOINT || "https://api.deepseek.com/chat/completions",
+        apiKeyEnv: "DEEPSEEK_PLATFORM_API_KEY",
+        buildPayload: openAICompatiblePayload(buildStandardMessages),
+    },
+    openai: {
+        label: "OpenAI-compatible",
+        defaultEndpoint: () => null, // Every model must name its own endpoint
+        apiKeyEnv: "OPENAI_API_KEY",
+        buildPayload: openAICompatiblePayload(buildStandardMessages),
+    },
+    ollama: {
+        label: "Ollama",
+        defaultEndpoint: () => process.env.OLLAMA_ENDPOINT || "http://localhost:11434/v1/chat/completions",
+        apiKeyEnv: null, // Local server, no key needed
+        buildPayload: openAICompatiblePayload(buildStandardMessages),
+    },
+};
+
+/**
+ * Resolves the provider settings of a model entry from models.json.
+ * @param {object} model - The model entry (id, provider, endpoint, apiKeyEnv, model).
+ * @returns {{name: string, label: string, endpoint: string, apiKey: string|null, upstreamModel: string, buildPayload: function}} - The resolved provider.
+ * @throws {Error} - If the provider is unknown, or its endpoint or API key is missing.
+ */
+const resolveProvider = (model) => {
+    const name = model.provider || 'openrouter';
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Unknown provider "${name}" for model ${model.id}. Use one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+    }
+
+    const endpoint = model.endpoint || provider.defaultEndpoint();
+    if (!endpoint) {
+        throw new Error(`Model ${model.id} uses the ${provider.label} provider but has no "endpoint".`);
+    }
+
+    const apiKeyEnv = model.apiKeyEnv || provider.apiKeyEnv;
+    const apiKey = apiKeyEnv ? process.env[apiKeyEnv] : null;
+    if (apiKeyEnv && !apiKey) {
+        throw new Error(`Model ${model.id} needs the ${apiKeyEnv} environment variable to be set.`);
+    }
+
+    return {
+        name,
+        label: provider.label,
+        endpoint,
+        apiKey,
+        upstreamModel: model.model || model.id,
+        buildPayload: provider.buildPayload,
+    };
+};
+
+module.exports = {
+    PROVIDERS,
+    resolveProvider,
+};
@@ -0,0 +1,105 @@
+/**
+ * Creates a request queue with a FIFO queue per chat, so replies in a chat arrive
+ * in the order the messages were sent and a burst of messages doesn't fire all
+ * API calls at once. Every job gets an AbortSignal; cancelling aborts running
+ * jobs through it and drops waiting ones before they start.
+ * @param {object} [options]
+ * @param {number} [options.concurrency=1] - How many jobs of the same chat may run at the same time.
+ * @returns {object} - The request queue.
+ */
+const createChatQueue = ({ concurrency = 1 } = {}) => {
+	const chats = new Map(); // chatId -> { running: Set<job>, waiting: Array<job> }
+
+	/**
+	 * Starts waiting jobs of a chat while there is capacity, and tells the jobs
+	 * still waiting their new position.
+	 * @param {number} chatId - The chat ID.
+	 */
+	const startNext = (chatId) => {
+		const chat = chats.get(chatId);
+		if (!chat) {
+			return;
+		}
+		let started = false;
+		while (chat.running.size < concurrency && chat.waiting.length > 0) {
+			const job = chat.waiting.shift();
+			chat.running.add(job);
+			started = true;
+			Promise.resolve()
+				.then(() => job.task(job.controller.signal))
+				.then(job.resolve, job.reject)
+				.finally(() => {
+					chat.running.delete(job);
+					startNext(chatId);
+				});
+		}
+		if (started) {
+			chat.waiting.forEach((job, index) => job.onPositionChange(index + 1));
+		}
+		if (chat.running.size === 0 && chat.waiting.length === 0) {
+			chats.delete(chatId);
+		}
+	};
+
+	return {
+		/**
+		 * Adds a job to the end of a chat's queue.
+		 * @param {number} chatId - The chat ID.
+		 * @param {function(AbortSignal): Promise<*>} task - The job; should stop when the signal is aborted.
+		 * @param {object} [options={}]
+		 * @param {number} [options.ownerId] - The user the job belongs to, for cancel.
+		 * @param {function(number): void} [options.onPositionChange] - Called with the new position when the job moves up while waiting.
+		 * @param {function(): void} [options.onCancel] - Called if the job is cancelled before it starts.
+		 * @returns {{position: number, done: Promise<*>}} - The position in the queue (0 if the job starts
+		 *   right away) and a promise for the task's result (undefined if cancelled before starting).
+		 */
+		enqueue(chatId, task, { ownerId, onPositionChange = () => {}, onCancel = () => {} } = {}) {
+			if (!chats.has(chatId)) {
+				chats.set(chatId, { running: new Set(), waiting: [] });
+			}
+			const chat = chats.get(chatId);
+			const position = chat.running.size < concurrency ? 0 : chat.waiting.length + 1;
+			const done = new Promise((resolve, reject) => {
+				chat.waiting.push({ task, ownerId, onPositionChange, onCancel, resolve, reject, controller: new AbortController() });
+			});
+			startNext(chatId);
+			return { position, done };
+		},
+
+		/**
+		 * Cancels a user's jobs in a chat: running ones are aborted, waiting ones removed.
+		 * @param {number} chatId - The chat ID.
+		 * @param {number} ownerId - The user whose jobs are cancelled.
+		 * @returns {{running: number, waiting: number}} - How many jobs were cancelled.
+		 */
+		cancel(chatId, ownerId) {
+			const chat = chats.get(chatId);
+			if (!chat) {
+				return { running: 0, waiting: 0 };
+			}
+			let running = 0;
+			chat.running.forEach(job => {
+				if (job.ownerId === ownerId && !job.controller.signal.aborted) {
+					job.controller.abort();
+					running++;
+				}
+			});
+			const cancelled = chat.waiting.filter(job => job.ownerId === ownerId);
+			chat.waiting = chat.waiting.filter(job => job.ownerId !== ownerId);
+			cancelled.forEach(job => {
+				job.controller.abort();
+				job.onCancel();
+				job.resolve(undefined);
+			});
+			chat.waiting.forEach((job, index) => job.onPositionChange(index + 1));
+			if (chat.running.size === 0 && chat.waiting.length === 0) {
+				chats.delete(chatId);
+			}
+			return { running, waiting: cancelled.length };
+		},
+	};
+};
+
+module.exports = {
+	createChatQueue,
+};
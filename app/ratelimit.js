@@ -0,0 +1,43 @@
+/**
+ * Creates a token-bucket rate limiter. Every key (a user ID) has a bucket that
+ * holds up to `capacity` tokens and refills continuously; each request takes one
+ * token. This allows short bursts while capping the sustained request rate.
+ * A capacity or refill rate of 0 disables the limit.
+ * @param {object} options
+ * @param {number} options.capacity - Maximum tokens per bucket (the burst size).
+ * @param {number} options.refillPerMinute - Tokens added per minute.
+ * @returns {object} - The rate limiter.
+ */
+const createRateLimiter = ({ capacity, refillPerMinute }) => {
+	const buckets = new Map(); // key -> { tokens, updatedAt }
+	const refillPerMs = refillPerMinute / 60000;
+
+	return {
+		/**
+		 * Takes a token from a key's bucket if one is available.
+		 * @param {number|string} key - The bucket key, e.g. a user ID.
+		 * @returns {{allowed: boolean, retryAfterMs: number}} - Whether the request may proceed,
+		 *   and if not, how long until the next token is available.
+		 */
+		take(key) {
+			if (!capacity || !refillPerMinute) {
+				return { allowed: true, retryAfterMs: 0 };
+			}
+			const now = Date.now();
+			const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+			bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+			bucket.updatedAt = now;
+			buckets.set(key, bucket);
+
+			if (bucket.tokens >= 1) {
+				bucket.tokens -= 1;
+				return { allowed: true, retryAfterMs: 0 };
+			}
+			return { allowed: false, retryAfterMs: Math.ceil((1 - bucket.tokens) / refillPerMs) };
+		},
+	};
+};
+
+module.exports = {
+	createRateLimiter,
+};
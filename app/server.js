@@ -0,0 +1,106 @@
+const http = require('http');
+const crypto = require('crypto');
+
+const MAX_UPDATE_BYTES = 1024 * 1024; // Telegram updates are far smaller
+const SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+
+/**
+ * Compares the secret token sent by Telegram with the configured one in constant time.
+ * @param {string|undefined} received - The header value.
+ * @param {string} expected - The configured secret.
+ * @returns {boolean} - True if they match.
+ */
+const isValidSecret = (received, expected) => {
+	if (typeof received !== 'string') {
+		return false;
+	}
+	const receivedBuffer = Buffer.from(received);
+	const expectedBuffer = Buffer.from(expected);
+	return receivedBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+};
+
+/**
+ * Sends a response and ends it.
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The HTTP status code.
+ * @param {string} contentType - The Content-Type header.
+ * @param {string} body - The response body.
+ */
+const respond = (res, status, contentType, body) => {
+	res.writeHead(status, { 'Content-Type': contentType });
+	res.end(body);
+};
+
+/**
+ * Creates the bot's HTTP server. It serves:
+ * - GET /healthz: 200 with a JSON status, or 503 while shutting down.
+ * - GET /metrics: the metrics in the Prometheus text format.
+ * - POST <webhookPath> (webhook mode only): Telegram updates. Requests without the
+ *   secret token are rejected; during shutdown 503 is returned so Telegram retries later.
+ * @param {object} options
+ * @param {object} options.metrics - The metrics collector (see metrics.js).
+ * @param {function(): boolean} options.isShuttingDown - Whether graceful shutdown has started.
+ * @param {string} [options.webhookPath] - Path Telegram posts updates to; omit to disable the webhook.
+ * @param {string} [options.secretToken] - The secret token set with setWebHook.
+ * @param {function(object): void} [options.onUpdate] - Called with every accepted update.
+ * @returns {http.Server} - The server (not listening yet).
+ */
+const createHttpServer = ({ metrics, isShuttingDown, webhookPath, secretToken, onUpdate }) => http.createServer((req, res) => {
+	// Not parsed with new URL(): it throws on malformed request targets, which anyone can send
+	const pathname = req.url.split('?')[0];
+
+	if (req.method === 'GET' && pathname === '/healthz') {
+		const status = isShuttingDown() ? 'shutting_down' : 'ok';
+		respond(res, status === 'ok' ? 200 : 503, 'application/json', JSON.stringify({ status, inFlight: metrics.inFlight }));
+		return;
+	}
+	if (req.method === 'GET' && pathname === '/metrics') {
+		respond(res, 200, 'text/plain; version=0.0.4; charset=utf-8', metrics.render());
+		return;
+	}
+	if (!webhookPath || pathname !== webhookPath) {
+		respond(res, 404, 'text/plain', 'Not found');
+		return;
+	}
+	if (req.method !== 'POST') {
+		respond(res, 405, 'text/plain', 'Method not allowed');
+		return;
+	}
+	if (!isValidSecret(req.headers[SECRET_HEADER], secretToken)) {
+		console.warn(`Rejected webhook request without a valid secret token from ${req.socket.remoteAddress}.`);
+		respond(res, 401, 'text/plain', 'Unauthorized');
+		return;
+	}
+	if (isShuttingDown()) {
+		respond(res, 503, 'text/plain', 'Shutting down');
+		return;
+	}
+
+	const chunks = [];
+	let size = 0;
+	req.on('data', (chunk) => {
+		size += chunk.length;
+		if (size > MAX_UPDATE_BYTES) {
+			respond(res, 413, 'text/plain', 'Payload too large');
+			req.destroy();
+			return;
+		}
+		chunks.push(chunk);
+	});
+	req.on('end', () => {
+		let update;
+		try {
+			update = JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+		} catch (error) {
+			respond(res, 400, 'text/plain', 'Invalid JSON');
+			return;
+		}
+		// Acknowledge right away; Telegram resends updates that aren't answered in time
+		respond(res, 200, 'text/plain', 'OK');
+		onUpdate(update);
+	});
+});
+
+module.exports = {
+	createHttpServer,
+};
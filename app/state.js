@@ -0,0 +1,68 @@
+const { loadJsonFile, saveJsonFile } = require('./utils');
+
+/**
+ * Creates a persistent settings store backed by a JSON file.
+ * Settings (mode, model and free-form preferences) are kept per key, which is
+ * the chat ID: in a private chat this is the user's own ID, so every user and
+ * every group gets independent settings. The file is loaded once on creation
+ * and rewritten on every change.
+ * @param {object} options
+ * @param {string} options.filePath - Path of the JSON file used for storage.
+ * @param {object} options.defaults - Settings used for keys without stored values (e.g. { mode: 'prompt', modelId: '...' }).
+ * @returns {object} - The state store.
+ */
+const createStateStore = ({ filePath, defaults }) => {
+	const entries = loadJsonFile(filePath, {}); // key -> { mode, modelId, preferences, updatedAt }
+	console.log(`Loaded settings for ${Object.keys(entries).length} chats from ${filePath}.`);
+
+	const save = () => saveJsonFile(filePath, entries);
+
+	return {
+		/**
+		 * Returns the settings of a key, filled in with the defaults.
+		 * @param {number|string} key - The chat ID.
+		 * @returns {{mode: string, modelId: string, preferences: object}} - The settings.
+		 */
+		get(key) {
+			const entry = entries[key] || {};
+			return {
+				...defaults,
+				...entry,
+				preferences: { ...(defaults.preferences || {}), ...(entry.preferences || {}) },
+			};
+		},
+
+		/**
+		 * Updates some settings of a key and saves the store.
+		 * @param {number|string} key - The chat ID.
+		 * @param {object} changes - The settings to change (e.g. { mode: 'chat' }).
+		 * @returns {object} - The updated settings, filled in with the defaults.
+		 */
+		set(key, changes) {
+			entries[key] = { ...(entries[key] || {}), ...changes, updatedAt: new Date().toISOString() };
+			save();
+			return this.get(key);
+		},
+
+		/**
+		 * Updates a single preference of a key and saves the store.
+		 * @param {number|string} key - The chat ID.
+		 * @param {string} name - The preference name.
+		 * @param {*} value - The preference value; undefined removes it.
+		 * @returns {object} - The updated settings, filled in with the defaults.
+		 */
+		setPreference(key, name, value) {
+			const preferences = { ...((entries[key] || {}).preferences || {}) };
+			if (value === undefined) {
+				delete preferences[name];
+			} else {
+				preferences[name] = value;
+			}
+			return this.set(key, { preferences });
+		},
+	};
+};
+
+module.exports = {
+	createStateStore,
+};
@@ -0,0 +1,76 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_ID, startTestBot, waitFor, settle } = require('./support');
+
+const STRANGER_ID = 2;
+
+describe('authorization', () => {
+	let testBot;
+	beforeEach(async () => { testBot = await startTestBot(); });
+	afterEach(async () => { await testBot.stop(); });
+
+	it('ignores messages and commands from users who are not on the access list', async () => {
+		testBot.sendText('hello', { from: STRANGER_ID });
+		testBot.sendText('/help', { from: STRANGER_ID });
+		testBot.sendText('/set_model test/backup', { from: STRANGER_ID });
+		await settle();
+		assert.equal(testBot.llm.requests.length, 0);
+		assert.deepEqual(testBot.telegram.messages(STRANGER_ID), []);
+	});
+
+	it('sends access requests to admins and lets them approve', async () => {
+		testBot.sendText('/start', { from: STRANGER_ID });
+		const reply = await waitFor(() => testBot.telegram.messages(STRANGER_ID)[0]);
+		assert.match(reply.text, /An access request has been sent to the admins\.$/);
+		const request = await waitFor(() => testBot.telegram.messages(ADMIN_ID).find(message => message.text.startsWith('Access request')));
+		const approve = request.params.reply_markup.inline_keyboard[0][0];
+		assert.equal(approve.callback_data, `access:approve:${STRANGER_ID}`);
+
+		testBot.press(approve.callback_data);
+		await waitFor(() => testBot.telegram.calls.some(call => call.method === 'answerCallbackQuery'));
+		testBot.sendText('hello', { from: STRANGER_ID });
+		await waitFor(() => testBot.llm.requests[0]);
+	});
+
+	it('only lets admins approve access requests', async () => {
+		testBot.sendText('/start', { from: STRANGER_ID });
+		await waitFor(() => testBot.telegram.messages(ADMIN_ID)[0]);
+
+		testBot.press(`access:approve:${STRANGER_ID}`, { from: STRANGER_ID });
+		const answer = await waitFor(() => testBot.telegram.calls.find(call => call.method === 'answerCallbackQuery'));
+		assert.equal(answer.params.text, 'Only admins can handle access requests.');
+		testBot.sendText('hello', { from: STRANGER_ID });
+		await settle();
+		assert.equal(testBot.llm.requests.length, 0);
+	});
+
+	it('only lets admins change the access list', async () => {
+		testBot.sendText('/allow 2');
+		await waitFor(() => testBot.telegram.messages(ADMIN_ID).some(message => message.text === 'Allowed 2 as user.'));
+
+		testBot.sendText('/allow 3', { from: STRANGER_ID });
+		testBot.sendText('/deny 1', { from: STRANGER_ID });
+		await settle();
+		assert.deepEqual(testBot.telegram.messages(STRANGER_ID), []);
+
+		testBot.sendText('/deny 2');
+		await waitFor(() => testBot.telegram.messages(ADMIN_ID).some(message => message.text === 'Removed 2 from the access list.'));
+		testBot.sendText('hello', { from: STRANGER_ID });
+		await settle();
+		assert.equal(testBot.llm.requests.length, 0);
+	});
+
+	it('rejects button presses from users who are not on the access list', async () => {
+		testBot.press('mode:chat', { from: STRANGER_ID });
+		const answer = await waitFor(() => testBot.telegram.calls.find(call => call.method === 'answerCallbackQuery'));
+		assert.equal(answer.params.text, 'You are not authorized to use this bot.');
+	});
+
+	it('lets everyone in an allowed group chat use the bot', async () => {
+		testBot.sendText('/allow -100');
+		await waitFor(() => testBot.telegram.messages(ADMIN_ID).some(message => message.text === 'Allowed -100 as user.'));
+
+		testBot.sendText('@test_bot hello', { from: STRANGER_ID, chat: -100 });
+		await waitFor(() => testBot.llm.requests[0]);
+	});
+});
@@ -0,0 +1,79 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_ID, startTestBot, waitFor } = require('./support');
+
+/**
+ * Waits for the message that replaced the "Processing..." acknowledgment.
+ * @param {object} testBot - The test bot.
+ * @returns {Promise<object>} - The edited message.
+ */
+const waitForResult = (testBot) => waitFor(() => testBot.telegram.messages(ADMIN_ID).find(message => message.method === 'editMessageText'));
+
+describe('API error handling', () => {
+	let testBot;
+	afterEach(async () => { await testBot.stop(); });
+
+	it('retries transient errors', async () => {
+		testBot = await startTestBot();
+		testBot.llm.reply({ status: 500 });
+		testBot.sendText('hello');
+
+		const result = await waitForResult(testBot);
+		assert.match(result.text, /^Echo: /);
+		assert.equal(testBot.llm.requests.length, 2);
+	});
+
+	it('falls back to the next model when a model keeps failing', async () => {
+		testBot = await startTestBot();
+		[1, 2, 3].forEach(() => testBot.llm.reply({ status: 503 }));
+		testBot.sendText('hello');
+
+		const result = await waitForResult(testBot);
+		assert.match(result.text, /\(Answered by test\/backup because test\/primary failed\.\)$/);
+		assert.deepEqual(testBot.llm.requests.map(request => request.model), ['test/primary', 'test/primary', 'test/primary', 'test/backup']);
+	});
+
+	it('reports errors that retries can\'t fix as plain text, without retrying', async () => {
+		testBot = await startTestBot();
+		testBot.llm.reply({ status: 401, error: 'Invalid API key' });
+		testBot.llm.reply({ status: 401, error: 'Invalid API key' });
+		testBot.sendText('hello');
+
+		const result = await waitForResult(testBot);
+		assert.equal(result.text, 'Sorry, I encountered an API error (401). Details: Invalid API key (Tried models: test/primary, test/backup)');
+		assert.equal(result.params.parse_mode, undefined);
+		assert.equal(testBot.llm.requests.length, 2);
+	});
+
+	it('treats a response without content as a failure', async () => {
+		testBot = await startTestBot({ API_MAX_RETRIES: '0' });
+		testBot.llm.reply({ content: undefined });
+		testBot.llm.reply({ content: undefined });
+		testBot.sendText('hello');
+
+		const result = await waitForResult(testBot);
+		assert.match(result.text, /^Sorry, I received an unexpected or empty response from the AI\./);
+	});
+
+	it('times out requests that get no answer', async () => {
+		testBot = await startTestBot({ API_TIMEOUT_MS: '100', API_MAX_RETRIES: '0' });
+		testBot.llm.reply({ delayMs: 1000 });
+		testBot.llm.reply({ delayMs: 1000 });
+		testBot.sendText('hello');
+
+		const result = await waitForResult(testBot);
+		assert.equal(result.text, 'Sorry, the request to the AI timed out. (Tried models: test/primary, test/backup)');
+	});
+
+	it('offers the other models after a failure', async () => {
+		testBot = await startTestBot({ API_MAX_RETRIES: '0' });
+		testBot.llm.reply({ status: 400 });
+		testBot.llm.reply({ status: 400 });
+		testBot.sendText('hello');
+
+		const result = await waitForResult(testBot);
+		const buttons = result.params.reply_markup.inline_keyboard.flat().map(button => button.callback_data);
+		assert.ok(buttons.includes('result:models'));
+		assert.ok(buttons.includes('result:regenerate'));
+	});
+});
@@ -0,0 +1,72 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTranslationArchive } = require('../archive');
+const { flushJsonLines } = require('../utils');
+const { ADMIN_ID, startTestBot, waitFor } = require('./support');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Writes archive records to a new JSON Lines file.
+ * @param {Array<object>} records - The records.
+ * @returns {string} - The file path.
+ */
+const writeArchive = (records) => {
+	const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-')), 'translations.jsonl');
+	fs.writeFileSync(filePath, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+	return filePath;
+};
+
+/**
+ * Returns the timestamp of a number of days ago.
+ * @param {number} days - Days before now.
+ * @returns {string} - The ISO timestamp.
+ */
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+describe('createTranslationArchive', () => {
+	it('only keeps translations from the retention period in memory', async () => {
+		const filePath = writeArchive([
+			{ timestamp: daysAgo(10), chatId: 1, input: 'old', output: 'alt' },
+			{ timestamp: daysAgo(2), chatId: 1, input: 'new', output: 'neu' },
+			{ timestamp: daysAgo(1), chatId: 2, input: 'other', output: 'andere' },
+		]);
+
+		const archive = createTranslationArchive({ filePath, retentionDays: 7 });
+		assert.deepEqual(archive.list(1).map(record => record.input), ['new']);
+
+		archive.add({ chatId: 1, input: 'newest', output: 'neueste' });
+		assert.deepEqual(archive.recent(1, 5).map(record => record.input), ['newest', 'new']);
+		// The file is only appended to, never rewritten, so every record can still be read
+		assert.deepEqual((await archive.listAll(1)).map(record => record.input), ['old', 'new', 'newest']);
+		await flushJsonLines();
+		assert.equal(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 4);
+	});
+
+	it('keeps every translation in memory with a retention of 0 days', () => {
+		const filePath = writeArchive([{ timestamp: daysAgo(1000), chatId: 1, input: 'ancient', output: 'uralt' }]);
+		const archive = createTranslationArchive({ filePath, retentionDays: 0 });
+		assert.deepEqual(archive.list(1).map(record => record.input), ['ancient']);
+	});
+});
+
+describe('/export', () => {
+	let testBot;
+	afterEach(async () => { await testBot.stop(); });
+
+	it('includes translations older than the retention period', async () => {
+		const filePath = writeArchive([{ timestamp: daysAgo(200), chatId: ADMIN_ID, userId: ADMIN_ID, input: 'old input', output: 'old output' }]);
+		testBot = await startTestBot({ ARCHIVE_FILE: filePath });
+
+		testBot.sendText('/recent');
+		await waitFor(() => testBot.telegram.messages(ADMIN_ID).some(message => message.text === 'No translations archived in this chat yet.'));
+
+		testBot.sendText('/export json');
+		const exported = await waitFor(() => testBot.telegram.calls.find(call => call.method === 'sendDocument'));
+		assert.equal(exported.params.caption, '1 translations');
+		assert.match(exported.params.document, /"input": "old input"/);
+	});
+});
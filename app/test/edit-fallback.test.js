@@ -0,0 +1,88 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_ID, startTestBot, waitFor } = require('./support');
+
+const PROCESSING_TEXT = 'Processing in prompt mode with test/primary...';
+
+/**
+ * Waits for the result message, however it was delivered.
+ * @param {object} testBot - The test bot.
+ * @returns {Promise<Array<object>>} - All messages of the chat, once one of them shows the result.
+ */
+const waitForResult = async (testBot) => {
+	await waitFor(() => testBot.telegram.messages(ADMIN_ID).some(message => /^Echo: /.test(message.text)));
+	return testBot.telegram.messages(ADMIN_ID);
+};
+
+describe('result delivery', () => {
+	let testBot;
+	beforeEach(async () => { testBot = await startTestBot(); });
+	afterEach(async () => { await testBot.stop(); });
+
+	it('replaces the acknowledgment with the formatted result', async () => {
+		testBot.llm.reply({ content: 'Use **bold** text' });
+		testBot.sendText('hello');
+
+		await waitFor(() => testBot.telegram.messages(ADMIN_ID).length === 2);
+		const [ack, result] = testBot.telegram.messages(ADMIN_ID);
+		assert.equal(ack.text, PROCESSING_TEXT);
+		assert.equal(result.method, 'editMessageText');
+		assert.equal(Number(result.params.message_id), 1001);
+		assert.equal(result.text, 'Use <b>bold</b> text');
+		assert.equal(result.params.parse_mode, 'HTML');
+		assert.ok(result.params.reply_markup.inline_keyboard.length > 0);
+	});
+
+	it('edits in plain text when Telegram rejects the HTML', async () => {
+		testBot.telegram.fail('editMessageText', "Bad Request: can't parse entities", { when: params => params.parse_mode === 'HTML' });
+		testBot.sendText('hello');
+
+		const messages = await waitForResult(testBot);
+		const result = messages[messages.length - 1];
+		assert.equal(result.method, 'editMessageText');
+		assert.equal(result.params.parse_mode, undefined);
+	});
+
+	it('sends a new message when the acknowledgment can\'t be edited', async () => {
+		testBot.telegram.fail('editMessageText', 'Bad Request: message to edit not found', { times: 2 });
+		testBot.sendText('hello');
+
+		const messages = await waitForResult(testBot);
+		const result = messages[messages.length - 1];
+		assert.equal(result.method, 'sendMessage');
+		assert.equal(result.params.parse_mode, 'HTML');
+		assert.ok(result.params.reply_markup.inline_keyboard.length > 0);
+	});
+
+	it('falls back to a new plain text message as the last resort', async () => {
+		testBot.telegram.fail('editMessageText', 'Bad Request: message to edit not found', { times: 2 });
+		testBot.telegram.fail('sendMessage', "Bad Request: can't parse entities", { when: params => params.parse_mode === 'HTML' });
+		testBot.sendText('hello');
+
+		const messages = await waitForResult(testBot);
+		const result = messages[messages.length - 1];
+		assert.equal(result.method, 'sendMessage');
+		assert.equal(result.params.parse_mode, undefined);
+	});
+
+	it('sends the result as a new message when the acknowledgment couldn\'t be sent', async () => {
+		testBot.telegram.fail('sendMessage', 'Forbidden: bot was blocked by the user');
+		testBot.sendText('hello');
+
+		const messages = await waitForResult(testBot);
+		assert.deepEqual(messages.map(message => message.method), ['sendMessage']);
+		assert.ok(testBot.telegram.calls.some(call => !call.ok && call.params.text === PROCESSING_TEXT));
+	});
+
+	it('keeps the result buttons working on a message sent instead of edited', async () => {
+		testBot.telegram.fail('editMessageText', 'Bad Request: message to edit not found', { times: 2 });
+		testBot.sendText('hello');
+		await waitForResult(testBot);
+		await testBot.app.metrics.drain(3000); // The buttons work once the request has finished
+		const resultCall = testBot.telegram.calls.filter(call => call.ok && call.method === 'sendMessage').pop();
+
+		testBot.press('result:regenerate', { messageId: resultCall.result.message_id });
+		await waitFor(() => testBot.llm.requests.length === 2);
+		assert.equal(testBot.llm.requests[1].messages[1].content, testBot.llm.requests[0].messages[1].content);
+	});
+});
@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeHtml, markdownToTelegramHtml, splitMarkdown } = require('../formatter');
+
+describe('markdownToTelegramHtml', () => {
+	it('escapes HTML in text and code', () => {
+		assert.equal(escapeHtml('<a href="x">&</a>'), '&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;');
+		assert.equal(markdownToTelegramHtml('1 < 2 & <b>not bold</b>'), '1 &lt; 2 &amp; &lt;b&gt;not bold&lt;/b&gt;');
+		assert.equal(markdownToTelegramHtml('Use `<div>` here'), 'Use <code>&lt;div&gt;</code> here');
+		assert.equal(markdownToTelegramHtml('```html\n<p>&amp;</p>\n```'), '<pre><code class="language-html">&lt;p&gt;&amp;amp;&lt;/p&gt;</code></pre>');
+	});
+
+	it('formats emphasis but leaves snake_case and code alone', () => {
+		assert.equal(markdownToTelegramHtml('**bold**, *italic*, _italic_, ~~gone~~'), '<b>bold</b>, <i>italic</i>, <i>italic</i>, <s>gone</s>');
+		assert.equal(markdownToTelegramHtml('snake_case_name and 2*3*4'), 'snake_case_name and 2*3*4');
+		assert.equal(markdownToTelegramHtml('`**not bold**`'), '<code>**not bold**</code>');
+	});
+
+	it('keeps link URLs intact', () => {
+		assert.equal(markdownToTelegramHtml('[docs](https://example.com/_build_/index.html)'),
+			'<a href="https://example.com/_build_/index.html">docs</a>');
+		assert.equal(markdownToTelegramHtml('See [**the** guide](https://example.com/*a*/?x=1&y=2) _now_'),
+			'See <a href="https://example.com/*a*/?x=1&amp;y=2"><b>the</b> guide</a> <i>now</i>');
+	});
+
+	it('leaves links with other schemes as text', () => {
+		assert.equal(markdownToTelegramHtml('[x](javascript:alert(1))'), '[x](javascript:alert(1))');
+	});
+});
+
+describe('splitMarkdown', () => {
+	const paragraph = (letter, length) => letter.repeat(length);
+
+	it('keeps short text in one part', () => {
+		assert.deepEqual(splitMarkdown('short', 100), ['short']);
+	});
+
+	it('splits at paragraph and code block boundaries', () => {
+		const code = '```js\nconst a = 1;\nconst b = 2;\n```';
+		const parts = splitMarkdown(`${paragraph('a', 40)}\n\n${code}\n\n${paragraph('b', 40)}`, 50);
+		assert.deepEqual(parts, [paragraph('a', 40), code, paragraph('b', 40)]);
+	});
+
+	it('re-fences code blocks that are cut', () => {
+		const lines = Array.from({ length: 6 }, (_, index) => `line ${index}`);
+		const parts = splitMarkdown(`\`\`\`python\n${lines.join('\n')}\n\`\`\``, 40);
+		assert.ok(parts.length > 1);
+		parts.forEach(part => {
+			assert.match(part, /^```python\n[\s\S]*\n```$/);
+			assert.ok(part.length <= 40);
+		});
+		const content = parts.flatMap(part => part.split('\n').slice(1, -1));
+		assert.deepEqual(content, lines);
+	});
+
+	it('closes a code block that has no closing fence', () => {
+		const parts = splitMarkdown(`${paragraph('a', 30)}\n\n\`\`\`\nunclosed code\n${paragraph('c', 15)}`, 40);
+		assert.deepEqual(parts, [paragraph('a', 30), `\`\`\`\nunclosed code\n${paragraph('c', 15)}\n\`\`\``]);
+	});
+});
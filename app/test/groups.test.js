@@ -0,0 +1,84 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_ID, startTestBot, waitFor, settle } = require('./support');
+
+const GROUP_ID = -100;
+const MEMBER_ID = 2;
+
+describe('group chats', () => {
+	let testBot;
+	beforeEach(async () => {
+		testBot = await startTestBot();
+		testBot.sendText(`/allow ${GROUP_ID}`);
+		await waitFor(() => testBot.telegram.messages(ADMIN_ID).some(message => message.text === `Allowed ${GROUP_ID} as user.`));
+	});
+	afterEach(async () => { await testBot.stop(); });
+
+	it('only answers messages that mention the bot', async () => {
+		testBot.sendText('just talking', { from: MEMBER_ID, chat: GROUP_ID });
+		await settle();
+		assert.equal(testBot.llm.requests.length, 0);
+
+		const messageId = testBot.sendText('@test_bot 你好', { from: MEMBER_ID, chat: GROUP_ID });
+		const request = await waitFor(() => testBot.llm.requests[0]);
+		assert.match(request.messages[1].content, /\n你好$/);
+		const ack = await waitFor(() => testBot.telegram.messages(GROUP_ID)[0]);
+		assert.equal(Number(ack.params.reply_to_message_id), messageId);
+	});
+
+	it('answers commands addressed to it and ignores those for other bots', async () => {
+		testBot.sendText('/help@other_bot', { from: MEMBER_ID, chat: GROUP_ID });
+		await settle();
+		assert.deepEqual(testBot.telegram.messages(GROUP_ID), []);
+
+		testBot.sendText('/help@test_bot', { from: MEMBER_ID, chat: GROUP_ID });
+		const help = await waitFor(() => testBot.telegram.messages(GROUP_ID)[0]);
+		assert.match(help.text, /^Available Commands:/);
+		assert.equal(testBot.llm.requests.length, 0);
+	});
+
+	it('ignores unaddressed commands that aren\'t its own', async () => {
+		testBot.sendText('/weather London', { from: MEMBER_ID, chat: GROUP_ID });
+		await settle();
+		assert.equal(testBot.llm.requests.length, 0);
+		assert.deepEqual(testBot.telegram.messages(GROUP_ID), []);
+
+		testBot.sendText('/weather@test_bot London', { from: MEMBER_ID, chat: GROUP_ID });
+		const request = await waitFor(() => testBot.llm.requests[0]);
+		assert.match(request.messages[1].content, /\n\/weather London$/);
+	});
+
+	it('translates the replied-to message with /tr', async () => {
+		const commandId = testBot.sendText('/tr', { from: MEMBER_ID, chat: GROUP_ID, replyTo: 'Bonjour tout le monde' });
+		const request = await waitFor(() => testBot.llm.requests[0]);
+		assert.match(request.messages[1].content, /^Translate the following text into English\n[\s\S]*\nBonjour tout le monde$/);
+		const ack = await waitFor(() => testBot.telegram.messages(GROUP_ID)[0]);
+		assert.equal(Number(ack.params.reply_to_message_id), commandId - 1);
+	});
+
+	it('lets only group admins change the group\'s mode and languages', async () => {
+		testBot.sendText('/chat_mode', { from: MEMBER_ID, chat: GROUP_ID });
+		testBot.sendText('/lang ja', { from: MEMBER_ID, chat: GROUP_ID });
+		await waitFor(() => testBot.telegram.messages(GROUP_ID).length === 2);
+		assert.ok(testBot.telegram.messages(GROUP_ID).every(message => message.text === 'Only admins of this group can change its mode, model and languages.'));
+
+		testBot.telegram.setMemberStatus(GROUP_ID, MEMBER_ID, 'administrator');
+		testBot.sendText('/translate_mode@test_bot', { from: MEMBER_ID, chat: GROUP_ID });
+		await waitFor(() => testBot.telegram.messages(GROUP_ID).some(message => message.text === 'Switched to Translation Mode.'));
+		testBot.sendText('/lang ja', { from: MEMBER_ID, chat: GROUP_ID });
+		await waitFor(() => testBot.telegram.messages(GROUP_ID).some(message => message.text.startsWith('Languages set:')));
+
+		testBot.sendText('@test_bot hello', { from: MEMBER_ID, chat: GROUP_ID });
+		const request = await waitFor(() => testBot.llm.requests[0]);
+		assert.match(request.messages[1].content, /^Translate the following text into Japanese\n/);
+	});
+
+	it('keeps the group\'s settings apart from its members\' private chats', async () => {
+		testBot.sendText('/chat_mode', { chat: GROUP_ID });
+		await waitFor(() => testBot.telegram.messages(GROUP_ID).some(message => message.text === 'Switched to General Chat Mode.'));
+
+		testBot.sendText('hello');
+		const request = await waitFor(() => testBot.llm.requests[0]);
+		assert.match(request.messages[1].content, /^Translate the following prompt into English\n/);
+	});
+});
@@ -0,0 +1,52 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_ID, startTestBot, waitFor } = require('./support');
+
+describe('model selection', () => {
+	let testBot;
+	beforeEach(async () => { testBot = await startTestBot(); });
+	afterEach(async () => { await testBot.stop(); });
+
+	it('lists the models with the current one marked', async () => {
+		testBot.sendText('/list_models');
+		const list = await waitFor(() => testBot.telegram.messages(ADMIN_ID).find(message => message.params.reply_markup));
+		const buttons = list.params.reply_markup.inline_keyboard.flat().map(button => button.text);
+		assert.deepEqual(buttons, ['✓ Primary', 'Backup']);
+	});
+
+	it('switches the model with /set_model', async () => {
+		testBot.sendText('/set_model test/backup');
+		await waitFor(() => testBot.telegram.messages(ADMIN_ID).some(message => message.text === 'Switched model to: test/backup'));
+
+		testBot.sendText('hello');
+		const request = await waitFor(() => testBot.llm.requests[0]);
+		assert.equal(request.model, 'test/backup');
+	});
+
+	it('rejects unknown model IDs', async () => {
+		testBot.sendText('/set_model test/missing');
+		const reply = await waitFor(() => testBot.telegram.messages(ADMIN_ID)[0]);
+		assert.equal(reply.text, 'Error: Model ID "test/missing" not found. Use /list_models to see available models.');
+	});
+
+	it('switches the model with the /list_models buttons', async () => {
+		testBot.press('model:1');
+		const answer = await waitFor(() => testBot.telegram.calls.find(call => call.method === 'answerCallbackQuery'));
+		assert.equal(answer.params.text, 'Switched model to: test/backup');
+
+		testBot.sendText('hello');
+		const request = await waitFor(() => testBot.llm.requests[0]);
+		assert.equal(request.model, 'test/backup');
+	});
+
+	it('keeps the model per chat', async () => {
+		testBot.sendText('/allow 2');
+		await waitFor(() => testBot.telegram.messages(ADMIN_ID).some(message => message.text === 'Allowed 2 as user.'));
+		testBot.sendText('/set_model test/backup');
+		await waitFor(() => testBot.telegram.messages(ADMIN_ID).some(message => message.text === 'Switched model to: test/backup'));
+
+		testBot.sendText('hello', { from: 2 });
+		const request = await waitFor(() => testBot.llm.requests[0]);
+		assert.equal(request.model, 'test/primary');
+	});
+});
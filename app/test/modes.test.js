@@ -0,0 +1,71 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadModes } = require('../modes');
+const { ADMIN_ID, startTestBot, waitFor } = require('./support');
+
+describe('loadModes', () => {
+	it('skips modes whose command is a built-in command', () => {
+		const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'modes-test-')), 'modes.json');
+		fs.writeFileSync(filePath, JSON.stringify([
+			{ id: 'helper', command: 'help', systemPrompt: 'Help.' },
+			{ id: 'tr', command: 'TR', systemPrompt: 'Translate.' },
+			{ id: 'reset', systemPrompt: 'Reset.' },
+		]));
+		const modes = loadModes(filePath);
+		assert.deepEqual(modes.map(mode => mode.command), ['reset_mode']);
+	});
+});
+
+describe('mode switching', () => {
+	let testBot;
+	beforeEach(async () => { testBot = await startTestBot(); });
+	afterEach(async () => { await testBot.stop(); });
+
+	it('uses the prompt mode by default', async () => {
+		testBot.sendText('你好');
+		const request = await waitFor(() => testBot.llm.requests[0]);
+		assert.equal(request.messages.length, 2);
+		assert.match(request.messages[1].content, /^Translate the following prompt into English\n/);
+	});
+
+	it('switches mode with a mode command and uses the new mode\'s prompts', async () => {
+		testBot.sendText('/translate_mode');
+		await waitFor(() => testBot.telegram.messages(ADMIN_ID).some(message => message.text === 'Switched to Translation Mode.'));
+
+		testBot.sendText('你好');
+		const request = await waitFor(() => testBot.llm.requests[0]);
+		assert.match(request.messages[1].content, /^Translate the following text into English\n/);
+		const result = await waitFor(() => testBot.telegram.messages(ADMIN_ID).find(message => message.method === 'editMessageText'));
+		assert.match(result.text, /^Echo: Translate the following text/);
+	});
+
+	it('switches mode with the /mode buttons and marks the new mode', async () => {
+		testBot.sendText('/mode');
+		const keyboard = await waitFor(() => testBot.telegram.messages(ADMIN_ID).find(message => message.text === 'Choose a mode:'));
+		assert.ok(keyboard.params.reply_markup.inline_keyboard.flat().some(button => button.text === '✓ Prompt Translation'));
+
+		testBot.press('mode:chat');
+		const answer = await waitFor(() => testBot.telegram.calls.find(call => call.method === 'answerCallbackQuery'));
+		assert.equal(answer.params.text, 'Switched to General Chat Mode.');
+		const update = await waitFor(() => testBot.telegram.calls.find(call => call.method === 'editMessageReplyMarkup'));
+		assert.ok(update.params.reply_markup.inline_keyboard.flat().some(button => button.text === '✓ General Chat'));
+	});
+
+	it('keeps conversation history only in conversational modes', async () => {
+		testBot.sendText('/chat_mode');
+		testBot.sendText('first');
+		await waitFor(() => testBot.telegram.messages(ADMIN_ID).some(message => message.text === 'Echo: first'));
+		testBot.sendText('second');
+		const chatRequest = await waitFor(() => testBot.llm.requests[1]);
+		assert.deepEqual(chatRequest.messages.slice(1).map(message => message.content), ['first', 'Echo: first', 'second']);
+
+		testBot.sendText('/prompt_mode');
+		await waitFor(() => testBot.telegram.messages(ADMIN_ID).some(message => message.text === 'Switched to Prompt Translation Mode.'));
+		testBot.sendText('third');
+		const promptRequest = await waitFor(() => testBot.llm.requests[2]);
+		assert.equal(promptRequest.messages.length, 2);
+	});
+});
@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateParameters, parseParameter } = require('../parameters');
+const { PROVIDERS } = require('../providers');
+
+describe('generation parameters', () => {
+	it('drops invalid values and request fields the bot sets itself', () => {
+		const parameters = validateParameters({
+			temperature: 5,
+			top_p: 0.5,
+			stop: 'END',
+			model: 'other/model',
+			stream: false,
+			seed: 42,
+		}, 'model "test"');
+		assert.deepEqual(parameters, { top_p: 0.5, stop: ['END'], seed: 42 });
+	});
+
+	it('only accepts plain decimal numbers in /settings', () => {
+		assert.deepEqual(parseParameter('temperature', '0.5'), { value: 0.5 });
+		assert.deepEqual(parseParameter('top_p', '.9'), { value: 0.9 });
+		assert.deepEqual(parseParameter('max_tokens', '256'), { value: 256 });
+		assert.deepEqual(parseParameter('temperature', ''), { error: 'temperature must be a number from 0 to 2.' });
+		assert.deepEqual(parseParameter('max_tokens', '0x10'), { error: 'max_tokens must be a positive whole number.' });
+		assert.deepEqual(parseParameter('max_tokens', '1e3'), { error: 'max_tokens must be a positive whole number.' });
+		assert.deepEqual(parseParameter('top_p', '-0'), { error: 'top_p must be a number from 0 to 1.' });
+	});
+
+	it('never lets parameters replace the model, messages or stream fields', () => {
+		const payload = PROVIDERS.ollama.buildPayload({
+			model: 'test/model',
+			systemPrompt: 'Translate.',
+			userPrompt: 'hello',
+			modPrefix: '',
+			history: [],
+			images: [],
+			parameters: { temperature: 0.2, model: 'other/model', messages: [], stream: false },
+			stream: true,
+		});
+		assert.equal(payload.model, 'test/model');
+		assert.equal(payload.stream, true);
+		assert.deepEqual(payload.stream_options, { include_usage: true });
+		assert.ok(payload.messages.length > 0);
+		assert.equal(payload.temperature, 0.2);
+	});
+});
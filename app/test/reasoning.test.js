@@ -0,0 +1,102 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_ID, startTestBot, waitFor } = require('./support');
+
+/**
+ * Waits for the result of a request: the message with the result buttons.
+ * @param {object} testBot - The test bot.
+ * @returns {Promise<object>} - The result message.
+ */
+const waitForResult = async (testBot) => {
+	const result = await waitFor(() => testBot.telegram.messages(ADMIN_ID).find(message => message.params.reply_markup));
+	await testBot.app.metrics.drain(3000);
+	return result;
+};
+
+/**
+ * Returns the labels of a message's buttons.
+ * @param {object} message - The message.
+ * @returns {Array<string>} - The button labels.
+ */
+const buttonLabels = (message) => message.params.reply_markup.inline_keyboard.flat().map(button => button.text);
+
+describe('reasoning models', () => {
+	let testBot;
+	afterEach(async () => { await testBot.stop(); });
+
+	describe('without streaming', () => {
+		beforeEach(async () => { testBot = await startTestBot(); });
+
+		it('strips <think> blocks from translations', async () => {
+			testBot.llm.reply({ content: '<think>\nThe user wants English.\n</think>\n\nHello' });
+			testBot.sendText('你好');
+			const result = await waitForResult(testBot);
+			assert.equal(result.text, 'Hello');
+			assert.ok(!buttonLabels(result).includes('Show reasoning'));
+		});
+
+		it('keeps tags that are part of a translation', async () => {
+			testBot.llm.reply({ content: 'Think step by step inside <think> tags, then give the final answer.' });
+			testBot.sendText('在 <think> 標籤內逐步思考，然後給出最終答案。');
+			const result = await waitForResult(testBot);
+			assert.equal(result.text, 'Think step by step inside &lt;think&gt; tags, then give the final answer.');
+		});
+
+		it('only treats a lone closing tag as the end of reasoning for reasoning models', async () => {
+			testBot.llm.reply({ content: 'Close your reasoning with </think> and then answer.' });
+			testBot.sendText('用 </think> 結束推理，然後回答。');
+			const kept = await waitForResult(testBot);
+			assert.equal(kept.text, 'Close your reasoning with &lt;/think&gt; and then answer.');
+
+			testBot.sendText('/set_model test/backup');
+			await waitFor(() => testBot.telegram.messages(ADMIN_ID).some(message => message.text === 'Switched model to: test/backup'));
+			testBot.llm.reply({ content: 'Thinking it over.</think>Hello' });
+			testBot.sendText('你好');
+			const stripped = await waitFor(() => testBot.telegram.messages(ADMIN_ID).filter(message => message.params.reply_markup)[1]);
+			assert.equal(stripped.text, 'Hello');
+		});
+
+		it('parses commit messages after the reasoning', async () => {
+			testBot.sendText('/commit_mode');
+			testBot.llm.reply({ content: '<think>A fix.</think>{"options": [{"type": "fix", "scope": "", "subject": "handle empty input", "body": "", "breaking": ""}]}' });
+			testBot.sendText('Fix the crash on empty input');
+			const result = await waitForResult(testBot);
+			assert.equal(result.text, '<pre><code>fix: handle empty input</code></pre>');
+		});
+
+		it('offers the reasoning in chat mode and keeps it out of the history', async () => {
+			testBot.sendText('/chat_mode');
+			testBot.llm.reply({ content: 'Hi there!', reasoning: 'A greeting, so greet back.' });
+			testBot.sendText('hello');
+			const result = await waitForResult(testBot);
+			assert.equal(result.text, 'Hi there!');
+			assert.ok(buttonLabels(result).includes('Show reasoning'));
+
+			testBot.press('result:reasoning', { messageId: Number(result.params.message_id) });
+			const reasoning = await waitFor(() => testBot.telegram.messages(ADMIN_ID).find(message => message.text.startsWith('Reasoning:')));
+			assert.equal(reasoning.text, 'Reasoning:\n\nA greeting, so greet back.');
+			assert.equal(Number(reasoning.params.reply_to_message_id), Number(result.params.message_id));
+
+			testBot.sendText('and again');
+			const followUp = await waitFor(() => testBot.llm.requests[1]);
+			assert.deepEqual(followUp.messages.slice(1).map(message => message.content), ['hello', 'Hi there!', 'and again']);
+		});
+	});
+
+	describe('with streaming', () => {
+		beforeEach(async () => { testBot = await startTestBot({ STREAM_RESPONSES: 'true' }); });
+
+		it('separates streamed reasoning from the answer', async () => {
+			testBot.sendText('/chat_mode');
+			testBot.llm.reply({ content: '<think>Short answer.</think>Hi!', reasoning: 'Greeting.' });
+			testBot.sendText('hello');
+			const result = await waitForResult(testBot);
+			assert.equal(result.text, 'Hi!');
+			assert.ok(testBot.telegram.messages(ADMIN_ID).every(message => !message.text.includes('Short answer')));
+
+			testBot.press('result:reasoning', { messageId: Number(result.params.message_id) });
+			const reasoning = await waitFor(() => testBot.telegram.messages(ADMIN_ID).find(message => message.text.startsWith('Reasoning:')));
+			assert.equal(reasoning.text, 'Reasoning:\n\nGreeting.\n\nShort answer.');
+		});
+	});
+});
@@ -0,0 +1,66 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { createHttpServer } = require('../server');
+const { createMetrics } = require('../metrics');
+
+const SECRET = 'test-secret';
+
+/**
+ * Sends raw bytes to a server and collects the reply until it closes the connection.
+ * @param {number} port - The server's port.
+ * @param {string} data - The raw request.
+ * @returns {Promise<string>} - The raw response.
+ */
+const sendRaw = (port, data) => new Promise((resolve, reject) => {
+	const socket = net.connect(port, '127.0.0.1', () => socket.end(data));
+	let response = '';
+	socket.on('data', chunk => { response += chunk; });
+	socket.on('end', () => resolve(response));
+	socket.on('error', reject);
+});
+
+describe('HTTP server', () => {
+	let server;
+	let baseUrl;
+	const updates = [];
+	beforeEach(async () => {
+		updates.length = 0;
+		server = createHttpServer({
+			metrics: createMetrics(),
+			isShuttingDown: () => false,
+			webhookPath: '/webhook',
+			secretToken: SECRET,
+			onUpdate: update => updates.push(update),
+		});
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+		baseUrl = `http://127.0.0.1:${server.address().port}`;
+	});
+	afterEach(async () => {
+		await new Promise(resolve => {
+			server.close(resolve);
+			server.closeAllConnections();
+		});
+	});
+
+	it('survives malformed request targets', async () => {
+		const response = await sendRaw(server.address().port, 'GET http://[ HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n');
+		assert.match(response, /^HTTP\/1\.1 404 /);
+
+		const health = await fetch(`${baseUrl}/healthz`);
+		assert.equal(health.status, 200);
+	});
+
+	it('ignores the query string when routing', async () => {
+		const response = await fetch(`${baseUrl}/metrics?format=text`);
+		assert.equal(response.status, 200);
+		assert.match(await response.text(), /^# HELP /m);
+	});
+
+	it('only accepts webhook updates with the secret token', async () => {
+		const post = (headers) => fetch(`${baseUrl}/webhook`, { method: 'POST', headers, body: JSON.stringify({ update_id: 1 }) });
+		assert.equal((await post({ 'X-Telegram-Bot-Api-Secret-Token': 'wrong' })).status, 401);
+		assert.equal((await post({ 'X-Telegram-Bot-Api-Secret-Token': SECRET })).status, 200);
+		assert.deepEqual(updates, [{ update_id: 1 }]);
+	});
+});
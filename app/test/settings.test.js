@@ -0,0 +1,65 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_ID, startTestBot, waitFor } = require('./support');
+
+describe('generation settings', () => {
+	let testBot;
+	beforeEach(async () => { testBot = await startTestBot(); });
+	afterEach(async () => { await testBot.stop(); });
+
+	/**
+	 * Sends a command and waits for the bot's reply to it.
+	 * @param {string} text - The command.
+	 * @returns {Promise<string>} - The reply text.
+	 */
+	const command = async (text) => {
+		const count = testBot.telegram.messages(ADMIN_ID).length;
+		testBot.sendText(text);
+		const reply = await waitFor(() => testBot.telegram.messages(ADMIN_ID)[count]);
+		return reply.text;
+	};
+
+	it('lets the mode override the model and the user override both', async () => {
+		testBot.sendText('hello');
+		const modeRequest = await waitFor(() => testBot.llm.requests[0]);
+		assert.equal(modeRequest.temperature, 0.2); // Prompt mode
+		assert.equal(modeRequest.max_tokens, 100); // Model
+		await testBot.app.metrics.drain(3000);
+
+		assert.equal(await command('/settings temperature 0.9'), 'temperature set to 0.9.');
+		assert.equal(await command('/settings stop ### | END'), 'stop set to "###" | "END".');
+		testBot.sendText('again');
+		const userRequest = await waitFor(() => testBot.llm.requests[1]);
+		assert.equal(userRequest.temperature, 0.9);
+		assert.equal(userRequest.max_tokens, 100);
+		assert.deepEqual(userRequest.stop, ['###', 'END']);
+	});
+
+	it('shows the effective settings with their source', async () => {
+		await command('/settings top_p 0.5');
+		const text = await command('/settings');
+		assert.match(text, /^temperature: 0\.2 \(mode\)$/m);
+		assert.match(text, /^top_p: 0\.5 \(you\)$/m);
+		assert.match(text, /^max_tokens: 100 \(model\)$/m);
+		assert.match(text, /^reasoning_effort: provider default$/m);
+	});
+
+	it('rejects invalid values and resets overrides', async () => {
+		assert.equal(await command('/settings temperature 3'), 'Error: temperature must be a number from 0 to 2.');
+		assert.equal(await command('/settings max_tokens 0x10'), 'Error: max_tokens must be a positive whole number.');
+		assert.equal(await command('/settings reasoning_effort extreme'), 'Error: reasoning_effort must be one of low, medium, high.');
+		await command('/settings temperature 0.9');
+		assert.equal(await command('/settings temperature reset'), "temperature reset. The mode's or model's default applies.");
+		testBot.sendText('hello');
+		const request = await waitFor(() => testBot.llm.requests[0]);
+		assert.equal(request.temperature, 0.2);
+	});
+
+	it('uses the fallback model\'s own parameters', async () => {
+		testBot.llm.reply({ status: 400, error: 'Bad request' });
+		testBot.sendText('hello');
+		const fallbackRequest = await waitFor(() => testBot.llm.requests.find(request => request.model === 'test/backup'));
+		assert.equal(fallbackRequest.temperature, 0.2);
+		assert.equal(fallbackRequest.max_tokens, undefined);
+	});
+});
@@ -0,0 +1,331 @@
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TelegramBot = require('node-telegram-bot-api');
+const { createBot } = require('../bot');
+const { loadConfig } = require('../config');
+
+const TOKEN = '123456:TEST';
+const ADMIN_ID = 1;
+
+/**
+ * Starts an HTTP server on a random local port.
+ * @param {function(http.IncomingMessage, string, http.ServerResponse): void} handler - Called with the request, its body and the response.
+ * @returns {Promise<{url: string, close: function(): Promise<void>}>} - The server's base URL and a function to stop it.
+ */
+const listen = async (handler) => {
+	const server = http.createServer((req, res) => {
+		const chunks = [];
+		req.on('data', chunk => chunks.push(chunk));
+		req.on('end', () => handler(req, Buffer.concat(chunks).toString('utf-8'), res));
+	});
+	await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+	return {
+		url: `http://127.0.0.1:${server.address().port}`,
+		close: () => new Promise(resolve => {
+			server.close(resolve);
+			server.closeAllConnections();
+		}),
+	};
+};
+
+/**
+ * Parses the parameters of a Bot API call: query string, URL-encoded form or
+ * multipart form (file parts are kept as text).
+ * @param {http.IncomingMessage} req - The request.
+ * @param {string} body - The request body.
+ * @returns {object} - The parameters; reply_markup is parsed from JSON.
+ */
+const parseParams = (req, body) => {
+	const params = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+	const contentType = req.headers['content-type'] || '';
+	if (contentType.startsWith('application/x-www-form-urlencoded')) {
+		Object.assign(params, Object.fromEntries(new URLSearchParams(body)));
+	} else if (contentType.startsWith('multipart/form-data')) {
+		const fieldPattern = /name="([^"]+)"(?:; filename="[^"]*")?\r\n(?:Content-Type: [^\r\n]*\r\n)?\r\n([\s\S]*?)\r\n--/g;
+		for (const [, name, value] of body.matchAll(fieldPattern)) {
+			params[name] = value;
+		}
+	}
+	if (typeof params.reply_markup === 'string') {
+		params.reply_markup = JSON.parse(params.reply_markup);
+	}
+	return params;
+};
+
+/**
+ * Starts a fake Telegram Bot API server. It records every call, answers like
+ * Telegram does, and can be told to fail calls to test error handling.
+ * @returns {Promise<object>} - The fake server.
+ */
+const createFakeTelegram = async () => {
+	const calls = []; // { method, params, ok, result }
+	const failures = []; // { method, description, when, times }
+	const memberStatuses = new Map(); // "chatId:userId" -> status for getChatMember
+	let nextMessageId = 1000;
+
+	const server = await listen((req, body, res) => {
+		const method = req.url.split('?')[0].split('/').pop();
+		const params = parseParams(req, body);
+		const failure = failures.find(candidate => candidate.method === method && candidate.times > 0 && candidate.when(params));
+		let reply;
+		if (failure) {
+			failure.times -= 1;
+			reply = { ok: false, error_code: 400, description: failure.description };
+		} else if (['sendMessage', 'sendDocument', 'sendPhoto'].includes(method)) {
+			reply = { ok: true, result: { message_id: ++nextMessageId, chat: { id: Number(params.chat_id) }, date: 0, text: params.text } };
+		} else if (method === 'editMessageText') {
+			reply = { ok: true, result: { message_id: Number(params.message_id), chat: { id: Number(params.chat_id) }, date: 0, text: params.text } };
+		} else if (method === 'getMe') {
+			reply = { ok: true, result: { id: 999, is_bot: true, first_name: 'Test', username: 'test_bot' } };
+		} else if (method === 'getChatMember') {
+			const status = memberStatuses.get(`${params.chat_id}:${params.user_id}`) || 'member';
+			reply = { ok: true, result: { user: { id: Number(params.user_id), is_bot: false, first_name: 'Member' }, status } };
+		} else {
+			reply = { ok: true, result: true };
+		}
+		calls.push({ method, params, ok: reply.ok, result: reply.result });
+		res.writeHead(200, { 'Content-Type': 'application/json' });
+		res.end(JSON.stringify(reply));
+	});
+
+	return {
+		url: server.url,
+		close: server.close,
+		calls,
+
+		/**
+		 * Sets a user's status in a chat, as returned by getChatMember (default "member").
+		 * @param {number} chatId - The chat ID.
+		 * @param {number} userId - The user ID.
+		 * @param {string} status - E.g. 'administrator' or 'creator'.
+		 */
+		setMemberStatus(chatId, userId, status) {
+			memberStatuses.set(`${chatId}:${userId}`, status);
+		},
+
+		/**
+		 * Makes calls to a method fail with a Bot API error.
+		 * @param {string} method - The Bot API method, e.g. 'editMessageText'.
+		 * @param {string} description - The error description, e.g. "Bad Request: message to edit not found".
+		 * @param {object} [options={}]
+		 * @param {function(object): boolean} [options.when] - Only fail calls whose parameters match.
+		 * @param {number} [options.times=1] - How many calls fail.
+		 */
+		fail(method, description, { when = () => true, times = 1 } = {}) {
+			failures.push({ method, description, when, times });
+		},
+
+		/**
+		 * Returns the messages successfully sent to or edited in a chat, in order.
+		 * @param {number} chatId - The chat ID.
+		 * @returns {Array<{method: string, text: string, params: object}>} - The messages.
+		 */
+		messages(chatId) {
+			return calls
+				.filter(call => call.ok && ['sendMessage', 'editMessageText'].includes(call.method) && Number(call.params.chat_id) === chatId)
+				.map(call => ({ method: call.method, text: call.params.text, params: call.params }));
+		},
+	};
+};
+
+/**
+ * Starts a mock OpenAI-compatible chat completions server. By default it answers
+ * with "Echo: <last user message>"; tests queue other replies with reply().
+ * @returns {Promise<object>} - The mock server.
+ */
+const createMockLlm = async () => {
+	const requests = []; // Request bodies
+	const replies = []; // Queued handlers, used once each
+
+	const server = await listen((req, body, res) => {
+		const payload = JSON.parse(body || '{}');
+		requests.push(payload);
+		const handler = replies.shift() || ((request) => {
+			const lastMessage = request.messages[request.messages.length - 1];
+			return { content: `Echo: ${lastMessage.content}` };
+		});
+		const reply = handler(payload);
+		if (reply.delayMs) {
+			setTimeout(() => res.destroy(), reply.delayMs);
+			return;
+		}
+		if (reply.status) {
+			res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+			res.end(JSON.stringify({ error: { message: reply.error || 'Mock error' } }));
+			return;
+		}
+		const usage = { prompt_tokens: 10, completion_tokens: 5 };
+		if (payload.stream) {
+			res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+			if (reply.reasoning) {
+				res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: '', reasoning: reply.reasoning } }] })}\n\n`);
+			}
+			res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: reply.content } }] })}\n\n`);
+			res.write(`data: ${JSON.stringify({ choices: [], usage })}\n\n`);
+			res.end('data: [DONE]\n\n');
+			return;
+		}
+		res.writeHead(200, { 'Content-Type': 'application/json' });
+		res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: reply.content, reasoning: reply.reasoning } }], usage }));
+	});
+
+	return {
+		url: server.url,
+		close: server.close,
+		requests,
+
+		/**
+		 * Queues a reply for the next request.
+		 * @param {object|function(object): object} reply - { content, reasoning } for an answer (reasoning is optional and
+		 *   sent in a separate field, like OpenRouter does), { status, error } for an
+		 *   HTTP error, { delayMs } for no answer (the connection is dropped after delayMs), or a function of
+		 *   the request body returning one of these.
+		 */
+		reply(reply) {
+			replies.push(typeof reply === 'function' ? reply : () => reply);
+		},
+	};
+};
+
+/**
+ * Waits until a condition holds.
+ * @param {function(): *} condition - Returns a truthy value once the condition holds.
+ * @param {number} [timeoutMs=3000] - How long to wait.
+ * @returns {Promise<*>} - The condition's value.
+ * @throws {Error} - If the condition doesn't hold in time.
+ */
+const waitFor = async (condition, timeoutMs = 3000) => {
+	const deadline = Date.now() + timeoutMs;
+	for (;;) {
+		const value = condition();
+		if (value) {
+			return value;
+		}
+		if (Date.now() > deadline) {
+			throw new Error(`Condition not met within ${timeoutMs}ms: ${condition}`);
+		}
+		await new Promise(resolve => setTimeout(resolve, 10));
+	}
+};
+
+/**
+ * Waits a little so that handlers that would react have had the chance to,
+ * for checking that something did not happen.
+ * @returns {Promise<void>}
+ */
+const settle = () => new Promise(resolve => setTimeout(resolve, 200));
+
+/**
+ * Starts a bot wired to a fake Telegram server and a mock LLM server, with its
+ * data files in a temporary directory. The bot uses the real modes.json and two
+ * test models on the mock server, "test/primary" (which falls back to
+ * "test/backup" and sets temperature 1 and max_tokens 100) and "test/backup" (flagged as
+ * a reasoning model).
+ * @param {object} [env={}] - Environment variables that override the test defaults.
+ * @returns {Promise<object>} - The test bot: { app, telegram, llm, sendText, press, stop }.
+ */
+const startTestBot = async (env = {}) => {
+	const telegram = await createFakeTelegram();
+	const llm = await createMockLlm();
+	const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-test-'));
+	const endpoint = `${llm.url}/v1/chat/completions`;
+
+	const modelsFilePath = path.join(dataDir, 'models.json');
+	fs.writeFileSync(modelsFilePath, JSON.stringify([
+		{ id: 'test/primary', name: 'Primary', provider: 'ollama', endpoint, fallback: ['test/backup'], parameters: { temperature: 1, max_tokens: 100 } },
+		{ id: 'test/backup', name: 'Backup', provider: 'ollama', endpoint, reasoning: true },
+	]));
+
+	const config = {
+		...loadConfig({
+			TELEGRAM_BOT_TOKEN: TOKEN,
+			AUTHORIZED_USER_ID: String(ADMIN_ID),
+			DEEPSEEK_MODEL: 'test/primary',
+			STATE_FILE: path.join(dataDir, 'state.json'),
+			ACCESS_FILE: path.join(dataDir, 'access.json'),
+			USAGE_FILE: path.join(dataDir, 'usage.jsonl'),
+			ARCHIVE_FILE: path.join(dataDir, 'translations.jsonl'),
+			GLOSSARY_FILE: path.join(dataDir, 'glossary.json'),
+			STREAM_RESPONSES: 'false',
+			API_RETRY_BASE_DELAY_MS: '1',
+			RATE_LIMIT_BURST: '0',
+			...env,
+		}),
+		modelsFilePath,
+	};
+	const app = createBot(config, { telegram: new TelegramBot(TOKEN, { polling: false, baseApiUrl: telegram.url }) });
+
+	let updateId = 0;
+	let messageId = 0;
+	return {
+		app,
+		telegram,
+		llm,
+
+		/**
+		 * Delivers a text message to the bot.
+		 * @param {string} text - The message text.
+		 * @param {object} [options={}]
+		 * @param {number} [options.from=ADMIN_ID] - The sender's user ID.
+		 * @param {number} [options.chat=from] - The chat ID (negative for groups).
+		 * @param {string} [options.replyTo] - Send the message as a reply to a message with this text.
+		 * @returns {number} - The message ID.
+		 */
+		sendText(text, { from = ADMIN_ID, chat = from, replyTo } = {}) {
+			const chatInfo = { id: chat, type: chat < 0 ? 'group' : 'private' };
+			const message = {
+				message_id: ++messageId,
+				from: { id: from, is_bot: false, first_name: `User ${from}` },
+				chat: chatInfo,
+				date: Math.floor(Date.now() / 1000),
+				text,
+			};
+			if (replyTo !== undefined) {
+				message.reply_to_message = { message_id: ++messageId, from: { id: 3, is_bot: false, first_name: 'User 3' }, chat: chatInfo, date: 0, text: replyTo };
+				message.message_id = ++messageId;
+			}
+			app.bot.processUpdate({ update_id: ++updateId, message });
+			return message.message_id;
+		},
+
+		/**
+		 * Presses an inline keyboard button.
+		 * @param {string} data - The button's callback data.
+		 * @param {object} [options={}]
+		 * @param {number} [options.from=ADMIN_ID] - The user pressing the button.
+		 * @param {number} [options.chat=from] - The chat of the message with the button.
+		 * @param {number} [options.messageId] - The message with the button.
+		 */
+		press(data, { from = ADMIN_ID, chat = from, messageId: buttonMessageId = 1 } = {}) {
+			app.bot.processUpdate({
+				update_id: ++updateId,
+				callback_query: {
+					id: `query-${updateId}`,
+					from: { id: from, is_bot: false, first_name: `User ${from}` },
+					message: { message_id: buttonMessageId, chat: { id: chat, type: chat < 0 ? 'group' : 'private' }, date: 0, text: '' },
+					chat_instance: '1',
+					data,
+				},
+			});
+		},
+
+		/**
+		 * Stops the bot and the servers and removes the data directory.
+		 */
+		async stop() {
+			await app.stop();
+			await telegram.close();
+			await llm.close();
+			fs.rmSync(dataDir, { recursive: true, force: true });
+		},
+	};
+};
+
+module.exports = {
+	ADMIN_ID,
+	startTestBot,
+	waitFor,
+	settle,
+};
@@ -0,0 +1,114 @@
+const { loadJsonLines, appendJsonLine } = require('./utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calculates the cost of a request from the model's pricing in models.json.
+ * @param {object} [pricing] - { prompt, completion }: USD per million tokens. Missing prices count as 0.
+ * @param {number} promptTokens - Prompt tokens used.
+ * @param {number} completionTokens - Completion tokens used.
+ * @returns {number} - The cost in USD.
+ */
+const calculateCost = (pricing, promptTokens, completionTokens) => {
+	if (!pricing) {
+		return 0;
+	}
+	return ((Number(pricing.prompt) || 0) * promptTokens + (Number(pricing.completion) || 0) * completionTokens) / 1e6;
+};
+
+/**
+ * Returns the start of a stats period.
+ * @param {string} period - 'today' (since local midnight), 'week' (last 7 days) or 'month' (last 30 days).
+ * @param {number} [now=Date.now()] - The current time.
+ * @returns {number} - The start of the period, as a timestamp.
+ */
+const getPeriodStart = (period, now = Date.now()) => {
+	if (period === 'week') {
+		return now - 7 * DAY_MS;
+	}
+	if (period === 'month') {
+		return now - 30 * DAY_MS;
+	}
+	const midnight = new Date(now);
+	midnight.setHours(0, 0, 0, 0);
+	return midnight.getTime();
+};
+
+/**
+ * Creates the usage log: one record per API request with the user, chat, mode,
+ * model, token counts, cost, latency and outcome. Records are appended to a
+ * JSON Lines file, which is never rewritten; only the last retentionDays are
+ * loaded and kept in memory for /stats and the daily budgets.
+ * @param {object} options
+ * @param {string} options.filePath - Path of the JSON Lines file.
+ * @param {number} [options.retentionDays=31] - How many days of records are kept in memory.
+ * @returns {object} - The usage log.
+ */
+const createUsageLog = ({ filePath, retentionDays = 31 }) => {
+	const loadedSince = Date.now() - retentionDays * DAY_MS;
+	let records = loadJsonLines(filePath).filter(record => record && record.timestamp >= loadedSince);
+	console.log(`Loaded ${records.length} usage records from ${filePath}.`);
+
+	/**
+	 * Drops in-memory records older than the retention period.
+	 */
+	const prune = () => {
+		const since = Date.now() - retentionDays * DAY_MS;
+		if (records.length > 0 && records[0].timestamp < since) {
+			records = records.filter(record => record.timestamp >= since);
+		}
+	};
+
+	return {
+		/**
+		 * Records a request and appends it to the file.
+		 * @param {object} entry - { userId, chatId, modeId, modelId, outcome, latencyMs, promptTokens, completionTokens, cost }.
+		 */
+		record(entry) {
+			const record = { timestamp: Date.now(), ...entry };
+			records.push(record);
+			prune();
+			appendJsonLine(filePath, record);
+		},
+
+		/**
+		 * Totals the requests since a point in time, overall and per model and mode.
+		 * @param {object} options
+		 * @param {number} options.since - Only count records from this timestamp on.
+		 * @param {number} [options.userId] - Only count this user's requests.
+		 * @returns {{total: object, byModel: object, byMode: object}} - Totals, each
+		 *   { requests, failed, promptTokens, completionTokens, cost, latencyMs } (latencyMs is the average).
+		 */
+		summarize({ since, userId }) {
+			const emptyTotals = () => ({ requests: 0, failed: 0, promptTokens: 0, completionTokens: 0, cost: 0, latencyMs: 0 });
+			const total = emptyTotals();
+			const byModel = {};
+			const byMode = {};
+			records.forEach(record => {
+				if (record.timestamp < since || (userId !== undefined && record.userId !== userId)) {
+					return;
+				}
+				byModel[record.modelId] = byModel[record.modelId] || emptyTotals();
+				byMode[record.modeId] = byMode[record.modeId] || emptyTotals();
+				[total, byModel[record.modelId], byMode[record.modeId]].forEach(totals => {
+					totals.requests += 1;
+					totals.failed += record.outcome === 'ok' ? 0 : 1;
+					totals.promptTokens += record.promptTokens || 0;
+					totals.completionTokens += record.completionTokens || 0;
+					totals.cost += record.cost || 0;
+					totals.latencyMs += record.latencyMs || 0;
+				});
+			});
+			[total, ...Object.values(byModel), ...Object.values(byMode)].forEach(totals => {
+				totals.latencyMs = totals.requests > 0 ? Math.round(totals.latencyMs / totals.requests) : 0;
+			});
+			return { total, byModel, byMode };
+		},
+	};
+};
+
+module.exports = {
+	calculateCost,
+	createUsageLog,
+	getPeriodStart,
+};
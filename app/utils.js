@@ -1,46 +1,334 @@
 const TelegramBot = require('node-telegram-bot-api');
+const fs = require('fs');
+const readline = require('readline');
+const path = require('path');
+const { TELEGRAM_MESSAGE_LIMIT, splitMarkdown } = require('./formatter');
 
 /**
- * Checks if the message sender is the authorized user.
+ * Checks if the message sender may use the bot: the user is on the access list,
+ * or the message was sent in a group chat that is on the access list.
  * @param {number} userId - The user ID from the Telegram message.
- * @param {number} authorizedUserId - The authorized user ID from config.
+ * @param {object} accessList - The access list created by createAccessList.
+ * @param {number} [chatId] - The chat ID from the Telegram message.
  * @returns {boolean} - True if authorized, false otherwise.
  */
-const isAuthorized = (userId, authorizedUserId) => {
-    // Basic validation in case authorizedUserId wasn't loaded correctly
-    if (typeof authorizedUserId !== 'number' || isNaN(authorizedUserId)) {
-        console.error("isAuthorized check failed: authorizedUserId is invalid.");
+const isAuthorized = (userId, accessList, chatId) => {
+    // Basic validation in case the access list wasn't created correctly
+    if (!accessList || typeof accessList.isAllowed !== 'function') {
+        console.error("isAuthorized check failed: accessList is invalid.");
         return false;
     }
-	return userId === authorizedUserId;
+	return accessList.isAllowed(userId) || (chatId !== undefined && chatId !== userId && accessList.isAllowed(chatId));
+};
+
+/**
+ * Checks if the message sender is an admin of the bot.
+ * @param {number} userId - The user ID from the Telegram message.
+ * @param {object} accessList - The access list created by createAccessList.
+ * @returns {boolean} - True if the user has the admin role, false otherwise.
+ */
+const isAdmin = (userId, accessList) => {
+	return Boolean(accessList && accessList.isAdmin(userId));
 };
 
 /**
  * Sends a message with common options, ensuring plain text.
+ * Text over Telegram's message limit is sent as several messages, split at
+ * paragraph boundaries; extra options such as buttons go on the last one.
  * @param {TelegramBot} bot - The bot instance.
  * @param {number} chatId - The chat ID to send the message to.
  * @param {string} text - The message text.
+ * @param {object} [extraOptions={}] - Additional sendMessage options (e.g. reply_markup).
+ * @returns {Promise<object|null>} - The sent message (the last one if split), or null if sending failed.
  */
-const sendMessage = (bot, chatId, text) => {
+const sendMessage = (bot, chatId, text, extraOptions = {}) => {
 	// Basic check to prevent sending empty/null messages which can cause errors
 	if (typeof text !== 'string' || text.trim() === '') {
 		console.warn(`Attempted to send empty message to chat ID ${chatId}.`);
-		return;
+		return Promise.resolve(null);
+	}
+	if (text.length > TELEGRAM_MESSAGE_LIMIT) {
+		const parts = splitMarkdown(text, TELEGRAM_MESSAGE_LIMIT);
+		return parts.reduce((previous, part, index) => previous.then(() =>
+			sendMessage(bot, chatId, part, index === parts.length - 1 ? extraOptions : {})
+		), Promise.resolve(null));
 	}
 	// Send as plain text, disable web page preview
-	bot.sendMessage(chatId, text, {
+	return bot.sendMessage(chatId, text, {
 		// parse_mode: 'Markdown', // Removed Markdown
-		disable_web_page_preview: true
+		disable_web_page_preview: true,
+		...extraOptions
 	}).catch(error => {
 		console.error(`Error sending message to chat ID ${chatId}:`, error.message);
         // Optionally, inform the user via a fallback message if sending fails critically
         // bot.sendMessage(chatId, "Sorry, I encountered an error trying to send a message.").catch(fallbackError => {
         //     console.error(`Error sending fallback error message to chat ID ${chatId}:`, fallbackError.message);
         // });
+		return null;
 	});
 };
 
+/**
+ * Creates an editor that progressively updates a message with partial text
+ * (e.g. a streamed AI response) without exceeding Telegram's edit rate limits.
+ * Updates arriving faster than the interval are coalesced; only the latest text
+ * is sent. Edits are sent one at a time and in order.
+ * @param {TelegramBot} bot - The bot instance.
+ * @param {number} chatId - The chat ID of the message.
+ * @param {number} messageId - The ID of the message to edit.
+ * @param {number} intervalMs - Minimum time between two edits.
+ * @returns {{update: function(string): void, stop: function(): Promise<void>}} - The editor.
+ */
+const createThrottledEditor = (bot, chatId, messageId, intervalMs) => {
+	let lastSentText = "";
+	let pendingText = null;
+	let lastEditAt = 0;
+	let timer = null;
+	let stopped = false;
+	let inFlight = Promise.resolve();
+
+	const flush = () => {
+		timer = null;
+		// Editing to identical text makes Telegram return "message is not modified"
+		if (stopped || pendingText === null || pendingText === lastSentText) {
+			return;
+		}
+		const text = pendingText;
+		pendingText = null;
+		lastSentText = text;
+		lastEditAt = Date.now();
+		inFlight = inFlight
+			.then(() => bot.editMessageText(text, {
+				chat_id: chatId,
+				message_id: messageId,
+				disable_web_page_preview: true
+			}))
+			.catch(error => {
+				console.warn(`Progressive edit failed for chat ID ${chatId}:`, error.message);
+			});
+	};
+
+	return {
+		/**
+		 * Schedules an edit with the given text.
+		 * @param {string} text - The text so far. Trimmed to fit a single message.
+		 */
+		update(text) {
+			if (stopped || typeof text !== 'string' || text.trim() === '') {
+				return;
+			}
+			pendingText = text.length > TELEGRAM_MESSAGE_LIMIT
+				? `${text.slice(0, TELEGRAM_MESSAGE_LIMIT - 2)} …`
+				: text;
+			if (!timer) {
+				timer = setTimeout(flush, Math.max(0, lastEditAt + intervalMs - Date.now()));
+			}
+		},
+
+		/**
+		 * Cancels scheduled edits and waits for the one in progress, so a final
+		 * edit made afterwards is not overwritten.
+		 * @returns {Promise<void>}
+		 */
+		async stop() {
+			stopped = true;
+			if (timer) {
+				clearTimeout(timer);
+				timer = null;
+			}
+			await inFlight;
+		},
+	};
+};
+
+/**
+ * Creates a small in-memory cache whose entries expire after a fixed time.
+ * When full, the oldest entry is evicted.
+ * @param {object} options
+ * @param {number} options.ttlMs - How long an entry stays valid, in milliseconds.
+ * @param {number} [options.maxEntries=200] - Maximum number of entries kept.
+ * @returns {{get: function(string): *, set: function(string, *): void}} - The cache.
+ */
+const createTtlCache = ({ ttlMs, maxEntries = 200 }) => {
+	const entries = new Map(); // key -> { value, expiresAt }
+
+	return {
+		get(key) {
+			const entry = entries.get(key);
+			if (!entry) {
+				return undefined;
+			}
+			if (entry.expiresAt <= Date.now()) {
+				entries.delete(key);
+				return undefined;
+			}
+			return entry.value;
+		},
+		set(key, value) {
+			entries.delete(key); // Re-inserting moves the key to the end of the eviction order
+			entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+			if (entries.size > maxEntries) {
+				entries.delete(entries.keys().next().value);
+			}
+		},
+	};
+};
+
+/**
+ * Downloads a file that was sent to the bot, via the Telegram file API.
+ * @param {TelegramBot} bot - The bot instance.
+ * @param {string} fileId - The Telegram file ID.
+ * @param {number} maxBytes - Largest accepted file size.
+ * @returns {Promise<Buffer>} - The file content.
+ * @throws {Error} - If the file is too large or cannot be downloaded.
+ */
+const downloadTelegramFile = async (bot, fileId, maxBytes) => {
+	const fileUrl = await bot.getFileLink(fileId);
+	const response = await fetch(fileUrl);
+	if (!response.ok) {
+		throw new Error(`Download failed with status ${response.status}.`);
+	}
+	const declaredSize = parseInt(response.headers.get('content-length'), 10);
+	if (declaredSize > maxBytes) {
+		throw new Error(`The file is too large (${Math.ceil(declaredSize / 1024)} KB, limit ${Math.floor(maxBytes / 1024)} KB).`);
+	}
+	const content = Buffer.from(await response.arrayBuffer());
+	if (content.length > maxBytes) {
+		throw new Error(`The file is too large (${Math.ceil(content.length / 1024)} KB, limit ${Math.floor(maxBytes / 1024)} KB).`);
+	}
+	return content;
+};
+
+/**
+ * Reads and parses a JSON data file.
+ * @param {string} filePath - Path of the JSON file.
+ * @param {*} fallback - Value returned if the file does not exist or cannot be parsed.
+ * @returns {*} - The parsed content, or the fallback.
+ */
+const loadJsonFile = (filePath, fallback) => {
+	try {
+		if (fs.existsSync(filePath)) {
+			return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+		}
+	} catch (error) {
+		console.error(`Error reading or parsing ${filePath}:`, error);
+	}
+	return fallback;
+};
+
+/**
+ * Writes a JSON data file, creating its directory if needed. Writing to a temporary
+ * file first and renaming it keeps the previous file intact if the process dies mid-write.
+ * @param {string} filePath - Path of the JSON file.
+ * @param {*} data - The data to serialize.
+ * @returns {boolean} - True if the file was written, false otherwise.
+ */
+const saveJsonFile = (filePath, data) => {
+	try {
+		fs.mkdirSync(path.dirname(filePath), { recursive: true });
+		const tempPath = `${filePath}.tmp`;
+		fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+		fs.renameSync(tempPath, filePath);
+		return true;
+	} catch (error) {
+		console.error(`Error writing ${filePath}:`, error.message);
+		return false;
+	}
+};
+
+/**
+ * Reads a JSON Lines file (one JSON value per line). Unparseable lines are skipped.
+ * @param {string} filePath - Path of the file.
+ * @returns {Array<*>} - The parsed lines, or an empty array if the file doesn't exist or can't be read.
+ */
+const loadJsonLines = (filePath) => {
+	const values = [];
+	try {
+		if (fs.existsSync(filePath)) {
+			fs.readFileSync(filePath, 'utf-8').split('\n').forEach(line => {
+				if (!line.trim()) {
+					return;
+				}
+				try {
+					values.push(JSON.parse(line));
+				} catch (error) {
+					console.warn(`Skipping unparseable line in ${filePath}.`);
+				}
+			});
+		}
+	} catch (error) {
+		console.error(`Error reading ${filePath}:`, error.message);
+	}
+	return values;
+};
+
+const appendQueues = new Map(); // filePath -> promise of the last append, so lines are never interleaved
+
+/**
+ * Appends a value as one line to a JSON Lines file, creating the file and its
+ * directory if needed. Appends to the same file are written in call order.
+ * @param {string} filePath - Path of the file.
+ * @param {*} value - The value to serialize.
+ * @returns {Promise<void>} - Resolves when the line is written (errors are logged, not thrown).
+ */
+const appendJsonLine = (filePath, value) => {
+	const line = `${JSON.stringify(value)}\n`;
+	const appended = (appendQueues.get(filePath) || Promise.resolve())
+		.then(() => fs.promises.mkdir(path.dirname(filePath), { recursive: true }))
+		.then(() => fs.promises.appendFile(filePath, line))
+		.catch(error => console.error(`Error writing ${filePath}:`, error.message));
+	appendQueues.set(filePath, appended);
+	return appended;
+};
+
+/**
+ * Reads a JSON Lines file line by line, without loading it into memory at once.
+ * Unparseable lines are skipped.
+ * @param {string} filePath - Path of the file.
+ * @param {function(*): void} onValue - Called with each parsed line, in file order.
+ * @returns {Promise<void>} - Resolves when the whole file is read (at once if it doesn't exist or can't be read).
+ */
+const streamJsonLines = async (filePath, onValue) => {
+	try {
+		if (!fs.existsSync(filePath)) {
+			return;
+		}
+		const lines = readline.createInterface({ input: fs.createReadStream(filePath, 'utf-8'), crlfDelay: Infinity });
+		for await (const line of lines) {
+			if (!line.trim()) {
+				continue;
+			}
+			let value;
+			try {
+				value = JSON.parse(line);
+			} catch (error) {
+				console.warn(`Skipping unparseable line in ${filePath}.`);
+				continue;
+			}
+			onValue(value);
+		}
+	} catch (error) {
+		console.error(`Error reading ${filePath}:`, error.message);
+	}
+};
+
+/**
+ * Waits for all pending appendJsonLine writes, e.g. before shutting down.
+ * @returns {Promise<void>} - Resolves when every queued line is written.
+ */
+const flushJsonLines = () => Promise.all([...appendQueues.values()]).then(() => {});
+
 module.exports = {
     isAuthorized,
+    isAdmin,
     sendMessage,
+    createThrottledEditor,
+    createTtlCache,
+    downloadTelegramFile,
+    loadJsonFile,
+    saveJsonFile,
+    loadJsonLines,
+    streamJsonLines,
+    appendJsonLine,
+    flushJsonLines,
 }; 
\ No newline at end of file